@@ -7,33 +7,158 @@ class HatTryOnApp {
   constructor() {
     // DOM Elements
     this.video = document.getElementById("video");
+    this.photo = document.getElementById("photo");
     this.canvas = document.getElementById("canvas");
     this.startBtn = document.getElementById("startBtn");
+    this.fileBtn = document.getElementById("fileBtn");
+    this.fileInput = document.getElementById("fileInput");
+    this.captureBtn = document.getElementById("captureBtn");
+    this.recordBtn = document.getElementById("recordBtn");
+    this.countdown = document.getElementById("countdown");
+    this.watermarkToggle = document.getElementById("watermarkToggle");
+    this.photoFormat = document.getElementById("photoFormat");
     this.loadingOverlay = document.getElementById("loadingOverlay");
     this.statusDot = document.getElementById("statusDot");
     this.statusText = document.getElementById("statusText");
     this.fpsValue = document.getElementById("fpsValue");
+    this.trackingFpsValue = document.getElementById("trackingFpsValue");
+    this.perfModeValue = document.getElementById("perfModeValue");
+
+    // Capture sheet
+    this.captureSheet = document.getElementById("captureSheet");
+    this.capturePreview = document.getElementById("capturePreview");
+    this.downloadBtn = document.getElementById("downloadBtn");
+    this.shareBtn = document.getElementById("shareBtn");
+    this.closeSheetBtn = document.getElementById("closeSheetBtn");
+    this.hatCarousel = document.getElementById("hatCarousel");
+    this.faceTargets = document.getElementById("faceTargets");
 
     // Sliders
     this.scaleSlider = document.getElementById("scaleSlider");
     this.yOffsetSlider = document.getElementById("yOffsetSlider");
     this.zOffsetSlider = document.getElementById("zOffsetSlider");
     this.smoothingSlider = document.getElementById("smoothingSlider");
+    this.filterSelect = document.getElementById("filterSelect");
+    this.holdTimeSlider = document.getElementById("holdTimeSlider");
+    this.facesSlider = document.getElementById("facesSlider");
+    this.hairToggle = document.getElementById("hairToggle");
+    this.hairClipToggle = document.getElementById("hairClipToggle");
+    this.perspectiveToggle = document.getElementById("perspectiveToggle");
+    this.fovSelect = document.getElementById("fovSelect");
+    this.cameraSelect = document.getElementById("cameraSelect");
+    this.facingControl = document.getElementById("facingControl");
+    this.rearCameraToggle = document.getElementById("rearCameraToggle");
+    this.resolutionSelect = document.getElementById("resolutionSelect");
+    this.gestureSensitivity = document.getElementById("gestureSensitivity");
+    // Gesture bound to each hands-free action
+    this.gestureSelects = {
+      nextHat: document.getElementById("gestureNextHat"),
+      capture: document.getElementById("gestureCapture"),
+      record: document.getElementById("gestureRecord"),
+    };
+    this.perfSelect = document.getElementById("perfSelect");
+    this.lightingToggle = document.getElementById("lightingToggle");
+    this.environmentToggle = document.getElementById("environmentToggle");
+    this.shadowToggle = document.getElementById("shadowToggle");
+
+    // Fit presets
+    this.presetSelect = document.getElementById("presetSelect");
+    this.presetName = document.getElementById("presetName");
+    this.savePresetBtn = document.getElementById("savePresetBtn");
+    this.deletePresetBtn = document.getElementById("deletePresetBtn");
+    this.resetFitBtn = document.getElementById("resetFitBtn");
+    this.exportPresetsBtn = document.getElementById("exportPresetsBtn");
+    this.importPresetsBtn = document.getElementById("importPresetsBtn");
+    this.presetFile = document.getElementById("presetFile");
+
+    // Hat materials
+    this.materialControls = document.getElementById("materialControls");
+    this.materialSelect = document.getElementById("materialSelect");
+    this.materialColor = document.getElementById("materialColor");
+    this.materialTexture = document.getElementById("materialTexture");
+    this.resetMaterialBtn = document.getElementById("resetMaterialBtn");
+    this.roughnessControl = document.getElementById("roughnessControl");
+    this.roughnessSlider = document.getElementById("roughnessSlider");
+    this.roughnessValue = document.getElementById("roughnessValue");
+    this.metalnessControl = document.getElementById("metalnessControl");
+    this.metalnessSlider = document.getElementById("metalnessSlider");
+    this.metalnessValue = document.getElementById("metalnessValue");
+
+    // Landmark recording and replay
+    this.landmarkRecordBtn = document.getElementById("landmarkRecordBtn");
+    this.landmarkReplayBtn = document.getElementById("landmarkReplayBtn");
+    this.replayInput = document.getElementById("replayInput");
 
     // Value displays
     this.scaleValue = document.getElementById("scaleValue");
     this.yOffsetValue = document.getElementById("yOffsetValue");
     this.zOffsetValue = document.getElementById("zOffsetValue");
     this.smoothingValue = document.getElementById("smoothingValue");
+    this.facesValue = document.getElementById("facesValue");
+    this.holdTimeValue = document.getElementById("holdTimeValue");
 
     // Modules
+    this.source = new InputSource(this.video, this.photo);
     this.mediaPipe = null;
+    this.hairSegmenter = null;
+    this.hairClipper = new HairClipper(document.getElementById("hairCanvas"));
     this.hatRenderer = null;
+    this.compositor = null;
+    this.recorder = null;
+    this.governor = null;
+    this.catalog = new HatCatalog("models/catalog.json");
+    this.settingsStore = new SettingsStore();
+    this.landmarkRecorder = new LandmarkRecorder();
+    this.replay = null;
+    this.lightEstimator = new LightEstimator();
+    // Render and detection rates are counted separately
     this.fpsCounter = new Utils.FPSCounter();
+    this.trackingFpsCounter = new Utils.FPSCounter();
 
     // State
     this.isRunning = false;
     this.currentFaceData = null;
+    // Faces dropped since the hats last saw a result; a replay can deliver
+    // several results between two renders
+    this.unreleasedFaceIds = new Set();
+    this.stillProcessed = false;
+    this.isLooping = false;
+
+    // Detection in flight, and the video time of the last frame sent to it
+    this.isDetecting = false;
+    this.lastDetectedTime = null;
+    this.frameCount = 0;
+    this.currentHatId = null;
+
+    // Materials of the main hat, as listed by HatMaterials.list
+    this.hatMaterials = [];
+
+    // Camera choice, remembered between sessions
+    this.cameraSettings = this.loadCameraSettings();
+
+    // Lighting matched to the camera feed, and when the environment map
+    // was last rebuilt
+    this.lightingSettings = {
+      ...HatTryOnApp.DEFAULT_LIGHTING,
+      ...this.settingsStore.read("lighting", {}),
+    };
+    this.lastEnvironmentUpdate = null;
+
+    // Hands-free gestures, and when each action last ran
+    this.gestureSettings = {
+      ...HatTryOnApp.DEFAULT_GESTURES,
+      ...this.settingsStore.read("gestures", {}),
+    };
+    this.lastGestureActions = new Map();
+
+    // Group mode: per-face hat assignments and the face the carousel dresses
+    this.faceHatIds = new Map();
+    this.hatTarget = null;
+    this.trackedFaceKey = "";
+
+    // Last captured file shown in the capture sheet
+    this.capture = null;
+    this.isCountingDown = false;
 
     // Bind methods
     this.onFaceResults = this.onFaceResults.bind(this);
@@ -50,6 +175,7 @@ class HatTryOnApp {
 
     // Initialize MediaPipe
     this.mediaPipe = new MediaPipeHandler({
+      maxFaces: parseInt(this.facesSlider.value),
       onResults: this.onFaceResults,
       onReady: () => console.log("MediaPipe ready"),
       onError: (err) => this.updateStatus("Error: " + err, false),
@@ -61,26 +187,57 @@ class HatTryOnApp {
       return;
     }
 
+    // Face events drive the hands-free actions
+    FaceEvents.NAMES.forEach((name) => {
+      this.mediaPipe.on(name, (event) => this.onGesture(event));
+    });
+    this.applyGestureSensitivity();
+
+    // Hair segmentation loads in the background; hats fit the skull until then
+    this.hairSegmenter = new HairSegmenter({
+      onError: (err) => console.error(err),
+    });
+    this.hairClipToggle.checked = this.settingsStore.read("hairClip", false);
+    this.setHairFit(this.settingsStore.read("hairFit", true));
+
     // Initialize Three.js renderer
-    this.hatRenderer = new HatRenderer(this.canvas, this.video);
+    this.hatRenderer = new HatRenderer(this.canvas, this.source);
     this.hatRenderer.init();
+    this.hatRenderer.updateSettings({
+      contactShadow: this.lightingSettings.shadow,
+    });
 
-    // Try to load hat model, fall back to procedural hat
-    console.log("Attempting to load hat model from models/hat.glb...");
+    this.compositor = new FrameCompositor(this.source, this.hatRenderer, {
+      watermark: HatTryOnApp.WATERMARK,
+      hairClipper: this.hairClipper,
+    });
 
-    const loadResult = await this.hatRenderer
-      .loadHat("models/hat.glb")
-      .catch((e) => {
-        console.error("Hat loading failed with error:", e);
-        return false;
-      });
+    this.recorder = new ClipRecorder(this.compositor, {
+      maxDuration: HatTryOnApp.MAX_CLIP_DURATION,
+      onTick: (elapsed) => this.updateRecordingStatus(elapsed),
+      onStop: (blob, filename) => {
+        this.onRecordingStopped();
+        this.showCaptureSheet(blob, filename);
+      },
+      onError: (err) => {
+        console.error("Recording error:", err);
+        this.onRecordingStopped();
+        this.updateStatus("Recording failed", this.isRunning);
+      },
+    });
+    this.recordBtn.hidden = !ClipRecorder.isSupported();
 
-    if (!loadResult) {
-      console.log("Using fallback procedural hat");
-      this.hatRenderer.createFallbackHat();
-    } else {
-      console.log("Custom hat model loaded successfully!");
-    }
+    // Quality follows the performance governor, or a level the user pinned
+    this.governor = new PerformanceGovernor({
+      onChange: (level) => this.applyPerformanceLevel(level),
+    });
+    this.governor.setMode(this.settingsStore.read("performance", "auto"));
+    this.applyPerformanceLevel(this.governor.currentLevel);
+
+    // Load the hat catalog and the default hat
+    await this.loadCatalog();
+    this.renderCatalog();
+    await this.selectHat(this.catalog.defaultId);
 
     // Setup event listeners
     this.setupEventListeners();
@@ -92,12 +249,444 @@ class HatTryOnApp {
     console.log("App initialized");
   }
 
+  /**
+   * Load the hat catalog manifest, falling back to the bundled hat
+   */
+  async loadCatalog() {
+    try {
+      await this.catalog.load();
+      console.log("Hat catalog loaded:", this.catalog.getItems().length);
+    } catch (error) {
+      console.error("Hat catalog failed to load:", error);
+      this.catalog.setItems([
+        { id: "default", name: "Hat", model: "models/hat.glb" },
+      ]);
+    }
+  }
+
+  /**
+   * Build the thumbnail carousel from the catalog
+   */
+  renderCatalog() {
+    this.hatCarousel.innerHTML = "";
+
+    this.catalog.getItems().forEach((item) => {
+      const button = document.createElement("button");
+      button.className = "hat-thumb";
+      button.type = "button";
+      button.title = item.name;
+      button.dataset.hatId = item.id;
+
+      if (item.thumbnail) {
+        const img = document.createElement("img");
+        img.src = item.thumbnail;
+        img.alt = item.name;
+        img.onerror = () => img.remove();
+        button.appendChild(img);
+      }
+
+      const label = document.createElement("span");
+      label.textContent = item.name;
+      button.appendChild(label);
+
+      button.addEventListener("click", () => this.selectHat(item.id));
+      this.hatCarousel.appendChild(button);
+    });
+
+    // Hide the carousel when there is nothing to choose from
+    this.hatCarousel.hidden = this.catalog.getItems().length < 2;
+  }
+
+  /**
+   * Switch a hat to a catalog item
+   * @param {string} id - Catalog item id
+   * @param {number} faceId - Face to dress; the selected target if omitted
+   */
+  async selectHat(id, faceId = this.hatTarget) {
+    const item = this.catalog.getItem(id);
+    if (!item || id === this.getHatId(faceId)) return;
+
+    if (faceId === null) {
+      this.currentHatId = id;
+    } else {
+      this.faceHatIds.set(faceId, id);
+    }
+    this.updateCarouselSelection();
+
+    let loadResult = false;
+    if (item.model) {
+      console.log(`Attempting to load hat model from ${item.model}...`);
+
+      const fit = await this.catalog.loadFit(item);
+      loadResult = await this.hatRenderer
+        .loadHat(item.model, fit, faceId, item.animations)
+        .catch((e) => {
+          console.error("Hat loading failed with error:", e);
+          return false;
+        });
+    }
+
+    // Another hat was selected while this one was loading
+    if (this.getHatId(faceId) !== id) return;
+
+    if (!loadResult) {
+      console.log("Using fallback procedural hat");
+      this.hatRenderer.createFallbackHat(faceId);
+    } else {
+      console.log(`Hat "${item.name}" loaded successfully!`);
+    }
+
+    // Fit settings are shared by every face, so only the main hat sets them;
+    // a face's own hat just wears the colours saved for it
+    if (faceId === null) {
+      this.renderMaterials();
+      this.applySettings({
+        smoothing: this.hatRenderer.settings.smoothing,
+        materials: {},
+        ...this.getCatalogFit(item),
+        ...this.settingsStore.getHatSettings(id),
+      });
+    } else {
+      const saved = this.settingsStore.getHatSettings(id);
+      this.hatRenderer.setFaceMaterials(
+        faceId,
+        (saved && saved.materials) || {}
+      );
+    }
+  }
+
+  /**
+   * Get the fit a catalog item ships with
+   * @param {Object} item - Catalog item
+   * @returns {Object} {scale, yOffset, zOffset}
+   */
+  getCatalogFit(item) {
+    return {
+      scale: item.scale,
+      yOffset: item.yOffset,
+      zOffset: item.zOffset,
+    };
+  }
+
+  /**
+   * Remember the current fit for the main hat
+   */
+  saveHatSettings() {
+    if (this.currentHatId) {
+      this.settingsStore.setHatSettings(
+        this.currentHatId,
+        this.hatRenderer.settings
+      );
+    }
+  }
+
+  /**
+   * Put the main hat back to its catalog fit and forget the saved one
+   */
+  resetFit() {
+    const item = this.catalog.getItem(this.currentHatId);
+    if (!item) return;
+
+    this.settingsStore.clearHatSettings(item.id);
+    this.applySettings({
+      ...SettingsStore.DEFAULT_FIT,
+      ...this.getCatalogFit(item),
+    });
+  }
+
+  /**
+   * Fill the preset picker
+   * @param {string} selected - Preset name to select
+   */
+  renderPresets(selected = "") {
+    this.presetSelect.replaceChildren(new Option("Fit Presets", ""));
+    this.settingsStore.getPresets().forEach((preset) => {
+      this.presetSelect.add(new Option(preset.name, preset.name));
+    });
+    this.presetSelect.value = selected;
+    this.deletePresetBtn.disabled = !this.presetSelect.value;
+  }
+
+  /**
+   * Wear a preset's hat and apply its fit
+   * @param {string} name - Preset name
+   */
+  async applyPreset(name) {
+    const preset = this.settingsStore.getPreset(name);
+    if (!preset) return;
+
+    // A preset is a fit for one particular hat, so put that hat on first
+    if (this.catalog.getItem(preset.hatId)) {
+      await this.selectHat(preset.hatId, null);
+    }
+
+    // Presets saved before materials could be customized mean the original look
+    this.applySettings({ materials: {}, ...preset.settings });
+    this.saveHatSettings();
+  }
+
+  /**
+   * Save the current fit as a named preset
+   */
+  savePreset() {
+    const name = this.presetName.value.trim() || this.presetSelect.value;
+    if (!name) {
+      this.presetName.focus();
+      return;
+    }
+
+    this.settingsStore.savePreset(
+      name,
+      this.currentHatId,
+      this.hatRenderer.settings
+    );
+    this.presetName.value = "";
+    this.renderPresets(name);
+  }
+
+  /**
+   * Download every preset as a JSON file
+   */
+  exportPresets() {
+    const blob = new Blob([this.settingsStore.exportPresets()], {
+      type: "application/json",
+    });
+    FrameCompositor.download(blob, "hatar-presets.json");
+  }
+
+  /**
+   * Merge presets from an exported JSON file
+   * @param {File} file - File chosen by the user
+   */
+  async importPresets(file) {
+    try {
+      const count = this.settingsStore.importPresets(await file.text());
+      this.renderPresets();
+      const noun = count === 1 ? "preset" : "presets";
+      this.updateStatus(`Imported ${count} ${noun}`, this.isRunning);
+    } catch (error) {
+      console.error("Preset import failed:", error);
+      this.updateStatus(error.message, this.isRunning);
+    }
+  }
+
+  /**
+   * Get the catalog id of the hat a face is wearing
+   * @param {number} faceId - Face id, or null for the default hat
+   * @returns {string|null} Catalog item id
+   */
+  getHatId(faceId) {
+    if (faceId !== null && this.faceHatIds.has(faceId)) {
+      return this.faceHatIds.get(faceId);
+    }
+    return faceId === null ? this.currentHatId : null;
+  }
+
+  /**
+   * Highlight the thumbnail of the hat worn by the selected target
+   */
+  updateCarouselSelection() {
+    const hatId = this.getHatId(this.hatTarget) || this.currentHatId;
+    this.hatCarousel.querySelectorAll(".hat-thumb").forEach((thumb) => {
+      thumb.classList.toggle("active", thumb.dataset.hatId === hatId);
+    });
+  }
+
+  /**
+   * Rebuild the "hat for" chips from the currently tracked faces
+   * @param {Array<number>} faceIds - Tracked face ids
+   */
+  renderFaceTargets(faceIds) {
+    if (this.hatTarget !== null && !faceIds.includes(this.hatTarget)) {
+      this.hatTarget = null;
+    }
+
+    this.faceTargets.innerHTML = "";
+
+    const targets = [{ id: null, label: "All" }].concat(
+      faceIds.map((faceId) => ({ id: faceId, label: `P${faceId}` }))
+    );
+
+    targets.forEach((target) => {
+      const chip = document.createElement("button");
+      chip.className = "face-target";
+      chip.type = "button";
+      chip.textContent = target.label;
+      chip.classList.toggle("active", target.id === this.hatTarget);
+      chip.addEventListener("click", () => {
+        this.hatTarget = target.id;
+        this.renderFaceTargets(faceIds);
+        this.updateCarouselSelection();
+      });
+      this.faceTargets.appendChild(chip);
+    });
+
+    // Only worth showing when more than one person can be dressed
+    this.faceTargets.hidden = this.mediaPipe.maxFaces < 2;
+  }
+
+  /**
+   * Push settings to the sliders, their labels and the renderer
+   * @param {Object} settings - Partial {scale, yOffset, zOffset, smoothing,
+   *   materials}
+   */
+  applySettings(settings) {
+    const controls = {
+      scale: [this.scaleSlider, this.scaleValue, (v) => v.toFixed(1)],
+      yOffset: [this.yOffsetSlider, this.yOffsetValue, (v) => v],
+      zOffset: [this.zOffsetSlider, this.zOffsetValue, (v) => v],
+      smoothing: [
+        this.smoothingSlider,
+        this.smoothingValue,
+        (v) => v.toFixed(1),
+      ],
+    };
+
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!controls[key] || typeof value !== "number") return;
+      const [slider, display, format] = controls[key];
+      slider.value = value;
+      display.textContent = format(value);
+    });
+
+    this.hatRenderer.updateSettings(settings);
+
+    if ("materials" in settings) {
+      this.showMaterial();
+    }
+  }
+
+  /**
+   * Fill the material picker with the main hat's materials
+   */
+  renderMaterials() {
+    this.hatMaterials = this.hatRenderer.getMaterials();
+
+    const selected = this.materialSelect.value;
+    this.materialSelect.replaceChildren(
+      ...this.hatMaterials.map((material) => new Option(material.name))
+    );
+    if (this.hatMaterials.some((material) => material.name === selected)) {
+      this.materialSelect.value = selected;
+    }
+
+    this.materialControls.hidden = this.hatMaterials.length === 0;
+    this.showMaterial();
+  }
+
+  /**
+   * Show the selected material's current look in the controls
+   */
+  showMaterial() {
+    const base = this.hatMaterials.find(
+      (material) => material.name === this.materialSelect.value
+    );
+    const custom = base
+      ? this.hatRenderer.settings.materials[base.name] || {}
+      : {};
+
+    this.materialColor.value =
+      custom.color || (base && base.color) || "#000000";
+    this.materialColor.disabled = !base || !base.color;
+    this.materialTexture.value = custom.texture || "";
+
+    [
+      ["roughness", this.roughnessControl, this.roughnessSlider],
+      ["metalness", this.metalnessControl, this.metalnessSlider],
+    ].forEach(([key, control, slider]) => {
+      // Only physically based materials have roughness and metalness
+      const supported = base && base[key] !== null;
+      control.hidden = !supported;
+      if (supported) {
+        const value = key in custom ? custom[key] : base[key];
+        slider.value = value;
+        this.setMaterialValue(key, value);
+      }
+    });
+  }
+
+  /**
+   * Show a roughness or metalness value next to its slider
+   * @param {string} key - "roughness" or "metalness"
+   * @param {number} value - Value (0-1)
+   */
+  setMaterialValue(key, value) {
+    const display =
+      key === "roughness" ? this.roughnessValue : this.metalnessValue;
+    display.textContent = value.toFixed(2);
+  }
+
+  /**
+   * Change the selected material
+   * @param {Object|null} changes - Partial {color, roughness, metalness,
+   *   texture}, or null to restore the model's own look
+   */
+  updateMaterial(changes) {
+    const name = this.materialSelect.value;
+    if (!name) return;
+
+    const materials = { ...this.hatRenderer.settings.materials };
+    if (changes) {
+      materials[name] = { ...materials[name], ...changes };
+    } else {
+      delete materials[name];
+    }
+    this.hatRenderer.updateSettings({ materials: materials });
+
+    // Faces wearing their own copy of the main hat change with it
+    this.faceHatIds.forEach((hatId, faceId) => {
+      if (hatId === this.currentHatId) {
+        this.hatRenderer.setFaceMaterials(faceId, materials);
+      }
+    });
+  }
+
   /**
    * Setup UI event listeners
    */
   setupEventListeners() {
     // Start button
     this.startBtn.addEventListener("click", () => this.toggleCamera());
+    this.fileBtn.addEventListener("click", () => this.fileInput.click());
+    this.fileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      // Clear so picking the same file again still fires
+      e.target.value = "";
+      if (file) {
+        this.openFile(file);
+      }
+    });
+
+    // Landmark sessions for reproducible tracking checks
+    this.landmarkRecordBtn.addEventListener("click", () =>
+      this.toggleLandmarkRecording()
+    );
+    this.landmarkReplayBtn.addEventListener("click", () =>
+      this.replayInput.click()
+    );
+    this.replayInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (file) {
+        this.openReplay(file);
+      }
+    });
+
+    // Capture
+    this.captureBtn.addEventListener("click", () => this.capturePhoto());
+    this.recordBtn.addEventListener("click", () => this.toggleRecording());
+    this.watermarkToggle.addEventListener("change", (e) => {
+      this.compositor.setWatermark(
+        e.target.checked ? HatTryOnApp.WATERMARK : null
+      );
+    });
+    this.downloadBtn.addEventListener("click", () => {
+      FrameCompositor.download(this.capture.blob, this.capture.filename);
+    });
+    this.shareBtn.addEventListener("click", () => {
+      FrameCompositor.share(this.capture.blob, this.capture.filename);
+    });
+    this.closeSheetBtn.addEventListener("click", () => this.hideCaptureSheet());
 
     // Sliders
     this.scaleSlider.addEventListener("input", (e) => {
@@ -124,6 +713,196 @@ class HatTryOnApp {
       this.hatRenderer.updateSettings({ smoothing: value });
     });
 
+    // Remember the fit once a slider is released
+    [
+      this.scaleSlider,
+      this.yOffsetSlider,
+      this.zOffsetSlider,
+      this.smoothingSlider,
+    ].forEach((slider) => {
+      slider.addEventListener("change", () => this.saveHatSettings());
+    });
+
+    // Hat materials
+    Object.entries(HatMaterials.TEXTURES).forEach(([key, texture]) => {
+      this.materialTexture.add(new Option(texture.name, key));
+    });
+    this.materialSelect.addEventListener("change", () => this.showMaterial());
+    this.materialColor.addEventListener("input", (e) => {
+      this.updateMaterial({ color: e.target.value });
+    });
+    this.materialTexture.addEventListener("change", (e) => {
+      this.updateMaterial({ texture: e.target.value || null });
+      this.saveHatSettings();
+    });
+    this.resetMaterialBtn.addEventListener("click", () => {
+      this.updateMaterial(null);
+      this.showMaterial();
+      this.saveHatSettings();
+    });
+    [
+      ["roughness", this.roughnessSlider],
+      ["metalness", this.metalnessSlider],
+    ].forEach(([key, slider]) => {
+      slider.addEventListener("input", (e) => {
+        const value = parseFloat(e.target.value);
+        this.setMaterialValue(key, value);
+        this.updateMaterial({ [key]: value });
+      });
+    });
+    [this.materialColor, this.roughnessSlider, this.metalnessSlider].forEach(
+      (input) => {
+        input.addEventListener("change", () => this.saveHatSettings());
+      }
+    );
+
+    // Fit presets
+    this.renderPresets();
+    this.presetSelect.addEventListener("change", (e) => {
+      this.deletePresetBtn.disabled = !e.target.value;
+      if (e.target.value) {
+        this.applyPreset(e.target.value);
+      }
+    });
+    this.savePresetBtn.addEventListener("click", () => this.savePreset());
+    this.presetName.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.savePreset();
+      }
+    });
+    this.deletePresetBtn.addEventListener("click", () => {
+      this.settingsStore.deletePreset(this.presetSelect.value);
+      this.renderPresets();
+    });
+    this.resetFitBtn.addEventListener("click", () => this.resetFit());
+    this.exportPresetsBtn.addEventListener("click", () => this.exportPresets());
+    this.importPresetsBtn.addEventListener("click", () =>
+      this.presetFile.click()
+    );
+    this.presetFile.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (file) {
+        this.importPresets(file);
+      }
+    });
+
+    this.hairToggle.addEventListener("change", (e) => {
+      this.setHairFit(e.target.checked);
+    });
+    this.hairClipToggle.addEventListener("change", (e) => {
+      this.setHairClip(e.target.checked);
+    });
+
+    this.facesSlider.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      this.facesValue.textContent = value;
+      this.mediaPipe.setMaxFaces(value);
+      this.renderFaceTargets(this.hatRenderer.getFaceIds());
+    });
+
+    // Smoothing strategy
+    Object.entries(Smoothing.STRATEGIES).forEach(([key, label]) => {
+      this.filterSelect.add(new Option(label, key));
+    });
+    this.filterSelect.value = this.hatRenderer.settings.filter;
+    this.filterSelect.addEventListener("change", (e) => {
+      this.hatRenderer.updateSettings({ filter: e.target.value });
+    });
+
+    this.holdTimeSlider.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      this.holdTimeValue.textContent = value + "ms";
+      this.hatRenderer.updateSettings({ holdTime: value });
+    });
+
+    // Camera projection
+    this.perspectiveToggle.addEventListener("change", (e) => {
+      this.hatRenderer.updateSettings({
+        cameraMode: e.target.checked ? "perspective" : "orthographic",
+      });
+    });
+
+    this.fovSelect.addEventListener("change", (e) => {
+      const value = parseInt(e.target.value);
+      this.hatRenderer.updateSettings({ fov: isNaN(value) ? null : value });
+    });
+
+    // Camera device, facing and resolution
+    Object.keys(InputSource.RESOLUTIONS).forEach((key) => {
+      this.resolutionSelect.add(new Option(key, key));
+    });
+    this.resolutionSelect.value = this.cameraSettings.resolution;
+    this.resolutionSelect.addEventListener("change", (e) => {
+      this.updateCameraSettings({ resolution: e.target.value });
+    });
+
+    this.cameraSelect.addEventListener("change", (e) => {
+      this.updateCameraSettings({ deviceId: e.target.value || null });
+    });
+
+    // Front/back switching only makes sense on phones and tablets
+    this.facingControl.hidden = !(navigator.maxTouchPoints > 0);
+    this.rearCameraToggle.checked =
+      this.cameraSettings.facingMode === "environment";
+    this.rearCameraToggle.addEventListener("change", (e) => {
+      this.cameraSelect.value = "";
+      this.updateCameraSettings({
+        facingMode: e.target.checked ? "environment" : "user",
+        deviceId: null,
+      });
+    });
+
+    this.renderCameraOptions();
+    if (navigator.mediaDevices) {
+      navigator.mediaDevices.addEventListener("devicechange", () =>
+        this.renderCameraOptions()
+      );
+    }
+
+    // Performance override
+    PerformanceGovernor.LEVELS.forEach((level, index) => {
+      this.perfSelect.add(new Option(level.name, index));
+    });
+    this.perfSelect.value = this.governor.mode;
+    this.perfSelect.addEventListener("change", (e) => {
+      this.governor.setMode(e.target.value);
+      this.settingsStore.write("performance", this.governor.mode);
+      this.updatePerformanceIndicator();
+    });
+
+    // Scene lighting
+    this.shadowToggle.checked = this.lightingSettings.shadow;
+    this.lightingToggle.checked = this.lightingSettings.match;
+    this.environmentToggle.checked = this.lightingSettings.environment;
+    this.environmentToggle.disabled = !this.lightingSettings.match;
+    this.lightingToggle.addEventListener("change", (e) => {
+      this.environmentToggle.disabled = !e.target.checked;
+      this.updateLightingSettings({ match: e.target.checked });
+    });
+    this.environmentToggle.addEventListener("change", (e) => {
+      this.updateLightingSettings({ environment: e.target.checked });
+    });
+    this.shadowToggle.addEventListener("change", (e) => {
+      this.updateLightingSettings({ shadow: e.target.checked });
+    });
+
+    // Hands-free gestures
+    Object.entries(this.gestureSelects).forEach(([action, select]) => {
+      select.add(new Option("Off", ""));
+      FaceEvents.NAMES.forEach((name) => {
+        select.add(new Option(HatTryOnApp.GESTURE_LABELS[name], name));
+      });
+      select.value = this.gestureSettings[action] || "";
+      select.addEventListener("change", (e) => {
+        this.updateGestureSettings({ [action]: e.target.value || null });
+      });
+    });
+    this.gestureSensitivity.value = this.gestureSettings.sensitivity;
+    this.gestureSensitivity.addEventListener("change", (e) => {
+      this.updateGestureSettings({ sensitivity: e.target.value });
+    });
+
     // Handle window resize
     window.addEventListener(
       "resize",
@@ -220,7 +999,7 @@ class HatTryOnApp {
    */
   async toggleCamera() {
     if (this.isRunning) {
-      this.stopCamera();
+      this.stopSource();
     } else {
       await this.startCamera();
     }
@@ -230,65 +1009,326 @@ class HatTryOnApp {
    * Start webcam capture
    */
   async startCamera() {
+    this.stopSource();
+
     try {
       this.startBtn.disabled = true;
       this.updateStatus("Starting camera...", false);
 
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: 1280 },
-          height: { ideal: 720 },
-          facingMode: "user",
-        },
+      await this.source.startCamera(this.cameraSettings);
+
+      this.onSourceStarted("Stop Camera");
+
+      // Device labels only appear once camera permission is granted
+      this.renderCameraOptions();
+    } catch (error) {
+      console.error("Camera error:", error);
+      this.updateStatus("Camera access denied", false);
+      this.startBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Fill the camera picker with the available devices
+   */
+  async renderCameraOptions() {
+    const cameras = await InputSource.listCameras();
+    const deviceId = this.cameraSettings.deviceId;
+
+    this.cameraSelect.replaceChildren(new Option("Default", ""));
+    cameras.forEach((camera) => {
+      this.cameraSelect.add(new Option(camera.label, camera.id));
+    });
+    this.cameraSelect.value = cameras.some((camera) => camera.id === deviceId)
+      ? deviceId
+      : "";
+  }
+
+  /**
+   * Change camera settings, remember them and reopen a running camera
+   * @param {Object} changes - Partial {deviceId, facingMode, resolution}
+   */
+  async updateCameraSettings(changes) {
+    Object.assign(this.cameraSettings, changes);
+    this.saveCameraSettings();
+
+    if (this.isRunning && this.source.kind === "camera") {
+      await this.startCamera();
+    }
+  }
+
+  /**
+   * Read remembered camera settings
+   * @returns {Object} {deviceId, facingMode, resolution}
+   */
+  loadCameraSettings() {
+    return {
+      deviceId: null,
+      facingMode: "user",
+      resolution: InputSource.DEFAULT_RESOLUTION,
+      ...this.settingsStore.read("camera", {}),
+    };
+  }
+
+  /**
+   * Remember camera settings for the next session
+   */
+  saveCameraSettings() {
+    this.settingsStore.write("camera", this.cameraSettings);
+  }
+
+  /**
+   * Track a local video (looped) or still image instead of the camera
+   * @param {File} file - File chosen by the user
+   */
+  async openFile(file) {
+    this.stopSource();
+
+    try {
+      this.startBtn.disabled = true;
+      this.fileBtn.disabled = true;
+      this.updateStatus("Opening file...", false);
+
+      await this.source.openFile(file);
+
+      this.onSourceStarted(this.source.isStill ? "Close Photo" : "Stop Video");
+    } catch (error) {
+      console.error("File error:", error);
+      this.updateStatus(error.message, false);
+      this.startBtn.disabled = false;
+    }
+
+    this.fileBtn.disabled = false;
+  }
+
+  /**
+   * Play back a recorded landmark session instead of tracking a source
+   * @param {File} file - Session saved by toggleLandmarkRecording
+   */
+  async openReplay(file) {
+    this.stopSource();
+
+    try {
+      const session = LandmarkReplay.parse(await file.text());
+      this.replay = new LandmarkReplay(session, this.mediaPipe, {
+        loop: true,
       });
+      this.source.openReplay(this.replay.frameSize, session.mirrored);
+      this.onSourceStarted("Stop Replay");
+    } catch (error) {
+      console.error("Replay error:", error);
+      this.replay = null;
+      this.updateStatus(error.message, false);
+    }
+  }
 
-      this.video.srcObject = stream;
+  /**
+   * Start or finish recording raw landmarks; a finished session downloads
+   */
+  toggleLandmarkRecording() {
+    const recorder = this.landmarkRecorder;
 
-      await new Promise((resolve) => {
-        this.video.onloadedmetadata = () => {
-          this.video.play();
-          resolve();
-        };
+    if (recorder.isRecording) {
+      this.mediaPipe.setRecorder(null);
+      const session = recorder.stop();
+      const blob = new Blob([LandmarkRecorder.serialize(session)], {
+        type: "application/json",
       });
+      FrameCompositor.download(blob, FrameCompositor.filename("json"));
+      this.landmarkRecordBtn.textContent = "Record";
+      return;
+    }
 
-      // Resize canvas to match video
-      this.resizeCanvas();
+    if (!this.isRunning || this.replay) return;
 
-      this.isRunning = true;
-      this.startBtn.textContent = "Stop Camera";
-      this.startBtn.disabled = false;
-      this.updateStatus("Running", true);
+    recorder.start({ mirrored: this.source.mirrored });
+    this.mediaPipe.setRecorder(recorder);
+    this.landmarkRecordBtn.textContent = "Save";
+  }
+
+  /**
+   * Start tracking once a source is playing
+   * @param {string} stopLabel - Start button label while this source runs
+   */
+  onSourceStarted(stopLabel) {
+    // Stills get a single detection pass; video tracks frame to frame
+    this.mediaPipe.setStaticMode(this.source.isStill);
+    this.stillProcessed = false;
+    this.lastDetectedTime = null;
 
-      // Start render loop
+    // Resize canvas to match the source
+    this.resizeCanvas();
+
+    this.isRunning = true;
+    this.startBtn.textContent = stopLabel;
+    this.startBtn.disabled = false;
+    this.captureBtn.disabled = false;
+    this.recordBtn.disabled = this.source.isStill;
+    this.landmarkRecordBtn.disabled = this.replay !== null;
+    this.updateStatus("Running", true);
+
+    // Start render loop, unless the last source's loop is still mid-frame
+    if (!this.isLooping) {
       this.renderLoop();
-    } catch (error) {
-      console.error("Camera error:", error);
-      this.updateStatus("Camera access denied", false);
-      this.startBtn.disabled = false;
     }
   }
 
   /**
-   * Stop webcam capture
+   * Stop the current input source
    */
-  stopCamera() {
+  stopSource() {
     this.isRunning = false;
 
-    if (this.video.srcObject) {
-      this.video.srcObject.getTracks().forEach((track) => track.stop());
-      this.video.srcObject = null;
+    if (this.recorder) {
+      this.recorder.stop();
+    }
+
+    // A landmark session ends with its source
+    if (this.landmarkRecorder.isRecording) {
+      this.toggleLandmarkRecording();
+    }
+    this.replay = null;
+
+    this.source.stop();
+    this.lightEstimator.reset();
+    this.lastEnvironmentUpdate = null;
+    this.hairClipper.reset();
+
+    // The next source starts with new face identities; current hats fade out
+    if (this.mediaPipe && this.hatRenderer) {
+      this.onFaceResults({
+        detected: false,
+        timestamp: performance.now(),
+        faces: [],
+        lost: this.mediaPipe.reset(),
+      });
+      this.hatRenderer.updateHatPosition(this.currentFaceData);
+      this.unreleasedFaceIds.clear();
     }
 
     this.startBtn.textContent = "Start Camera";
+    this.captureBtn.disabled = true;
+    this.recordBtn.disabled = true;
+    this.landmarkRecordBtn.disabled = true;
     this.updateStatus("Stopped", false);
   }
 
+  /**
+   * Capture the composited frame and show it in the capture sheet
+   */
+  async capturePhoto() {
+    if (!this.isRunning) return;
+
+    const type = this.photoFormat.value;
+    const extension = type === "image/jpeg" ? "jpg" : "png";
+
+    try {
+      const blob = await this.compositor.capturePhoto(type);
+      this.showCaptureSheet(blob, FrameCompositor.filename(extension));
+    } catch (error) {
+      console.error("Capture failed:", error);
+      this.updateStatus("Capture failed", this.isRunning);
+    }
+  }
+
+  /**
+   * Start a recording after a countdown, or stop the current one
+   */
+  async toggleRecording() {
+    if (this.recorder.isRecording) {
+      this.recorder.stop();
+      return;
+    }
+    if (this.isCountingDown || !this.isRunning) return;
+
+    this.isCountingDown = true;
+    this.recordBtn.disabled = true;
+
+    for (let i = HatTryOnApp.RECORD_COUNTDOWN; i > 0; i--) {
+      this.countdown.textContent = i;
+      this.countdown.hidden = false;
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      if (!this.isRunning) break;
+    }
+
+    this.countdown.hidden = true;
+    this.isCountingDown = false;
+    if (!this.isRunning) return;
+
+    if (this.recorder.start()) {
+      this.recordBtn.textContent = "Stop Recording";
+      this.recordBtn.disabled = false;
+      this.statusDot.classList.add("recording");
+    }
+  }
+
+  /**
+   * Show elapsed recording time in the status badge
+   * @param {number} elapsed - Milliseconds since recording started
+   */
+  updateRecordingStatus(elapsed) {
+    const seconds = Math.floor(elapsed / 1000);
+    const limit = Math.round(HatTryOnApp.MAX_CLIP_DURATION / 1000);
+    const clock = String(seconds).padStart(2, "0");
+    this.statusText.textContent = `REC 0:${clock} / 0:${limit}`;
+  }
+
+  /**
+   * Restore recording controls once a clip has finished
+   */
+  onRecordingStopped() {
+    this.recordBtn.textContent = "Record Clip";
+    this.recordBtn.disabled = !this.isRunning || this.source.isStill;
+    this.statusDot.classList.remove("recording");
+    this.updateStatus(this.isRunning ? "Running" : "Stopped", this.isRunning);
+  }
+
+  /**
+   * Show a captured photo or clip with download and share actions
+   * @param {Blob} blob - Captured file
+   * @param {string} filename - File name for download/share
+   */
+  showCaptureSheet(blob, filename) {
+    this.hideCaptureSheet();
+
+    const url = URL.createObjectURL(blob);
+    const isVideo = blob.type.startsWith("video/");
+    const preview = document.createElement(isVideo ? "video" : "img");
+    preview.src = url;
+    if (isVideo) {
+      preview.controls = true;
+      preview.loop = true;
+      preview.playsInline = true;
+      preview.autoplay = true;
+    } else {
+      preview.alt = "Captured photo";
+    }
+    this.capturePreview.appendChild(preview);
+
+    this.capture = { blob, filename, url };
+    this.shareBtn.hidden = !FrameCompositor.canShare(blob, filename);
+    this.captureSheet.hidden = false;
+  }
+
+  /**
+   * Close the capture sheet and release its preview
+   */
+  hideCaptureSheet() {
+    this.captureSheet.hidden = true;
+    this.capturePreview.innerHTML = "";
+
+    if (this.capture) {
+      URL.revokeObjectURL(this.capture.url);
+      this.capture = null;
+    }
+  }
+
   /**
    * Resize canvas to match video dimensions
    */
   resizeCanvas() {
-    if (this.video.videoWidth && this.video.videoHeight) {
-      const container = this.canvas.parentElement;
+    if (this.source.width && this.source.height) {
+      const container = this.hatRenderer.canvas.parentElement;
       const width = container.clientWidth;
       const height = container.clientHeight;
 
@@ -301,26 +1341,306 @@ class HatTryOnApp {
    * @param {Object} faceData - Face detection data
    */
   onFaceResults(faceData) {
-    this.currentFaceData = faceData;
+    const faceIds = (faceData.faces || []).map((face) => face.id);
+    (faceData.lost || []).forEach((faceId) =>
+      this.unreleasedFaceIds.add(faceId)
+    );
+    faceIds.forEach((faceId) => this.unreleasedFaceIds.delete(faceId));
+    this.currentFaceData = {
+      ...faceData,
+      lost: Array.from(this.unreleasedFaceIds),
+    };
+
+    if (this.trackingFpsCounter.tick()) {
+      this.trackingFpsValue.textContent = this.trackingFpsCounter.getFPS();
+    }
+
+    (faceData.lost || []).forEach((faceId) => this.faceHatIds.delete(faceId));
+
+    // Refresh the per-person chips only when the set of people changes
+    const key = faceIds.join(",");
+    if (key !== this.trackedFaceKey) {
+      this.trackedFaceKey = key;
+      this.renderFaceTargets(faceIds);
+      this.updateCarouselSelection();
+    }
+  }
+
+  /**
+   * Send the current frame to MediaPipe unless a detection is still running.
+   * Detection runs alongside rendering; frames that arrive while it is busy
+   * are dropped.
+   */
+  detect() {
+    if (this.isDetecting) return;
+
+    // Low quality levels only detect on some frames
+    if (this.frameCount % this.governor.currentLevel.detectEvery !== 0) return;
+
+    const element = this.source.element;
+    if (this.source.isStill) {
+      // A still only ever needs one pass
+      if (this.stillProcessed) return;
+      this.stillProcessed = true;
+    } else if (element.currentTime === this.lastDetectedTime) {
+      // No new video frame since the last detection
+      return;
+    }
+    this.lastDetectedTime = element.currentTime;
+
+    this.isDetecting = true;
+    const started = performance.now();
+    this.mediaPipe
+      .processFrame(element)
+      .then(() => this.governor.detection(performance.now() - started))
+      .catch((error) => console.error("Detection error:", error))
+      .finally(() => {
+        this.isDetecting = false;
+      });
+  }
+
+  /**
+   * Apply a quality level from the performance governor
+   * @param {Object} level - Entry of PerformanceGovernor.LEVELS
+   */
+  applyPerformanceLevel(level) {
+    this.hatRenderer.setQuality({
+      pixelRatio: Math.min(window.devicePixelRatio, level.maxPixelRatio),
+      antialias: level.antialias,
+    });
+    this.mediaPipe.setRefineLandmarks(level.refineLandmarks);
+    this.mediaPipe.setInputWidth(level.inputWidth);
+    this.updatePerformanceIndicator();
+  }
+
+  /**
+   * Show the current quality level, and whether it is automatic
+   */
+  updatePerformanceIndicator() {
+    const name = this.governor.currentLevel.name;
+    this.perfModeValue.textContent =
+      this.governor.mode === "auto" ? `Auto (${name})` : name;
+  }
+
+  /**
+   * Turn hair-aware hat fitting on or off
+   * @param {boolean} enabled - Whether to measure hair
+   */
+  async setHairFit(enabled) {
+    this.hairToggle.checked = enabled;
+    this.hairClipToggle.disabled = !enabled;
+    this.settingsStore.write("hairFit", enabled);
+
+    if (!enabled) {
+      this.mediaPipe.setHairSegmenter(null);
+      this.hairSegmenter.reset();
+      this.applyHairClip();
+      return;
+    }
+
+    const ready = await this.hairSegmenter.init();
+    // Turned off again while the model was loading
+    if (!this.hairToggle.checked) return;
+
+    if (ready) {
+      this.mediaPipe.setHairSegmenter(this.hairSegmenter);
+    } else {
+      this.hairToggle.checked = false;
+      this.hairClipToggle.disabled = true;
+      this.updateStatus("Hair segmentation failed to load", this.isRunning);
+    }
+    this.applyHairClip();
+  }
+
+  /**
+   * Turn clipping of hair under the brim on or off
+   * @param {boolean} enabled - Whether to clip hair
+   */
+  setHairClip(enabled) {
+    this.hairClipToggle.checked = enabled;
+    this.settingsStore.write("hairClip", enabled);
+    this.applyHairClip();
+  }
+
+  /**
+   * Start or stop the hair clipper. It needs the segmentation mask, so it
+   * only runs while hair fitting is on and loaded.
+   */
+  applyHairClip() {
+    const active =
+      this.hairClipToggle.checked &&
+      this.hairToggle.checked &&
+      this.hairSegmenter.isReady;
+
+    this.hairClipper.setEnabled(active);
+    // The clipped area has to follow the hair frame by frame
+    this.hairSegmenter.interval = active
+      ? HairClipper.SEGMENT_INTERVAL
+      : HairSegmenter.INTERVAL;
+  }
+
+  /**
+   * Change gesture settings, remember them and apply them
+   * @param {Object} changes - Partial {nextHat, capture, record, sensitivity}
+   */
+  updateGestureSettings(changes) {
+    this.gestureSettings = { ...this.gestureSettings, ...changes };
+    this.settingsStore.write("gestures", this.gestureSettings);
+
+    if ("sensitivity" in changes) {
+      this.applyGestureSensitivity();
+    }
+  }
+
+  /**
+   * Scale every face event threshold by the chosen sensitivity
+   */
+  applyGestureSensitivity() {
+    const scale =
+      HatTryOnApp.GESTURE_SENSITIVITY[this.gestureSettings.sensitivity] || 1;
+    const settings = {};
+    FaceEvents.NAMES.forEach((name) => {
+      settings[name] = {
+        threshold: FaceEvents.DEFAULTS[name].threshold * scale,
+      };
+    });
+    this.mediaPipe.configureEvents(settings);
+  }
+
+  /**
+   * Run the actions bound to a face event
+   * @param {Object} event - {type, faceId, face} from MediaPipeHandler
+   */
+  onGesture(event) {
+    // A replayed session's faces aren't anyone in front of the kiosk, and an
+    // open capture sheet is waiting on a decision
+    if (!this.isRunning || this.replay || !this.captureSheet.hidden) return;
+
+    const now = performance.now();
+    Object.keys(this.gestureSelects).forEach((action) => {
+      if (this.gestureSettings[action] !== event.type) return;
+
+      // With several people in view, one action can be asked for by each;
+      // run it once
+      const last = this.lastGestureActions.get(action);
+      if (last !== undefined && now - last < HatTryOnApp.GESTURE_COOLDOWN) {
+        return;
+      }
+      this.lastGestureActions.set(action, now);
+      this.runGestureAction(action);
+    });
+  }
+
+  /**
+   * Run a hands-free action
+   * @param {string} action - "nextHat", "capture" or "record"
+   */
+  runGestureAction(action) {
+    if (action === "nextHat") {
+      const item = this.catalog.getAdjacent(this.getHatId(this.hatTarget));
+      if (item) {
+        this.selectHat(item.id);
+      }
+    } else if (action === "capture") {
+      this.capturePhoto();
+    } else if (action === "record") {
+      if (!this.recordBtn.hidden && !this.source.isStill) {
+        this.toggleRecording();
+      }
+    }
   }
 
   /**
-   * Main render loop
+   * Change lighting settings, remember them and apply them
+   * @param {Object} changes - Partial {match, environment, shadow}
    */
-  async renderLoop() {
+  updateLightingSettings(changes) {
+    this.lightingSettings = { ...this.lightingSettings, ...changes };
+    this.settingsStore.write("lighting", this.lightingSettings);
+    this.hatRenderer.updateSettings({
+      contactShadow: this.lightingSettings.shadow,
+    });
+
+    if ("match" in changes || "environment" in changes) {
+      // Fixed lights until the next estimate, and no stale environment map
+      this.hatRenderer.resetLighting();
+      this.lightEstimator.reset();
+      this.lastEnvironmentUpdate = null;
+    }
+  }
+
+  /**
+   * Match scene lighting to the current frame
+   * @param {number} now - Frame time (ms)
+   */
+  updateLighting(now) {
+    // A replay has no frames to look at; keep the last lighting
+    if (!this.lightingSettings.match || !this.source.hasPixels) return;
+
+    const estimate = this.lightEstimator.update(
+      this.source,
+      this.currentFaceData,
+      now
+    );
+    if (!estimate) return;
+
+    this.hatRenderer.applyLighting(estimate);
+
+    // Prefiltering the environment map is costly, so rebuild it less often
+    if (
+      this.lightingSettings.environment &&
+      (this.lastEnvironmentUpdate === null ||
+        now - this.lastEnvironmentUpdate >= HatTryOnApp.ENVIRONMENT_INTERVAL)
+    ) {
+      this.lastEnvironmentUpdate = now;
+      this.hatRenderer.setEnvironment(this.lightEstimator.canvas);
+    }
+  }
+
+  /**
+   * Main render loop, at display rate
+   */
+  renderLoop() {
+    this.isLooping = this.isRunning;
     if (!this.isRunning) return;
 
-    // Process frame with MediaPipe
-    await this.mediaPipe.processFrame(this.video);
+    const now = performance.now();
+    this.frameCount++;
+    this.governor.frame(now);
+
+    // Start a detection, or push the replay's due frames past MediaPipe
+    if (this.replay) {
+      this.replay.update(now);
+    } else {
+      this.detect();
+    }
 
-    // Update hat position
+    // Animation clips pose the hats first; tracking and loose parts follow
+    this.hatRenderer.updateAnimations(now);
+
+    // Update hat position from the latest detection
     if (this.currentFaceData) {
-      this.hatRenderer.updateHatPosition(this.currentFaceData);
+      this.hatRenderer.updateHatPosition(this.currentFaceData, now);
+      this.unreleasedFaceIds.clear();
+    }
+
+    this.updateLighting(now);
+
+    // Paint over hair that the hats' crowns should cover
+    if (this.hairClipper.enabled) {
+      this.hairClipper.update(
+        this.source,
+        this.hairSegmenter,
+        this.hatRenderer.getBrimOutlines()
+      );
     }
 
     // Render scene
     this.hatRenderer.render();
 
+    // Every drawn frame also goes into an active recording
+    this.recorder.captureFrame();
+
     // Update FPS counter
     if (this.fpsCounter.tick()) {
       this.fpsValue.textContent = this.fpsCounter.getFPS();
@@ -344,20 +1664,112 @@ class HatTryOnApp {
    * Clean up resources
    */
   destroy() {
-    this.stopCamera();
+    this.stopSource();
+
+    if (this.recorder) {
+      this.recorder.destroy();
+    }
 
     if (this.mediaPipe) {
       this.mediaPipe.destroy();
     }
 
+    if (this.hairSegmenter) {
+      this.hairSegmenter.destroy();
+    }
+
     if (this.hatRenderer) {
       this.hatRenderer.destroy();
     }
   }
 }
 
+// Text stamped on captures when the watermark is enabled
+HatTryOnApp.WATERMARK = "HatAR";
+
+// Clip recording limits
+HatTryOnApp.MAX_CLIP_DURATION = 30000;
+HatTryOnApp.RECORD_COUNTDOWN = 3;
+
+// Scene lighting used until the user changes it
+HatTryOnApp.DEFAULT_LIGHTING = {
+  match: true,
+  environment: false,
+  shadow: true,
+};
+
+// How often the environment map is rebuilt from the frame (ms)
+HatTryOnApp.ENVIRONMENT_INTERVAL = 1000;
+
+// Hands-free actions start unbound, at normal sensitivity
+HatTryOnApp.DEFAULT_GESTURES = {
+  nextHat: null,
+  capture: null,
+  record: null,
+  sensitivity: "normal",
+};
+
+// Face event names as shown in the gesture menus
+HatTryOnApp.GESTURE_LABELS = {
+  blink: "Long Blink",
+  smile: "Smile",
+  mouthOpen: "Open Mouth",
+  browRaise: "Raise Eyebrows",
+  nod: "Nod",
+  shake: "Shake Head",
+};
+
+// Threshold scale per sensitivity; lower thresholds fire more easily
+HatTryOnApp.GESTURE_SENSITIVITY = {
+  low: 1.3,
+  normal: 1,
+  high: 0.75,
+};
+
+// Least time between two runs of the same hands-free action (ms)
+HatTryOnApp.GESTURE_COOLDOWN = 2000;
+
+/**
+ * Replace the loading spinner with a startup error
+ * @param {string} message - What went wrong
+ * @param {Array<string>} files - Files to list under the message
+ */
+HatTryOnApp.showStartupError = (message, files = []) => {
+  const overlay = document.getElementById("loadingOverlay");
+  const error = document.createElement("div");
+  error.className = "loading-error";
+
+  const text = document.createElement("p");
+  text.textContent = message;
+  error.appendChild(text);
+
+  if (files.length > 0) {
+    const list = document.createElement("ul");
+    files.forEach((file) => {
+      const item = document.createElement("li");
+      item.textContent = file;
+      list.appendChild(item);
+    });
+    error.appendChild(list);
+  }
+
+  overlay.replaceChildren(error);
+};
+
 // Initialize app when DOM is ready AND Three.js is loaded
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  OfflineAssets.registerServiceWorker();
+
+  // Nothing starts without the vendored libraries, so name any that are absent
+  const missing = await OfflineAssets.findMissing(OfflineAssets.VENDOR);
+  if (missing.length > 0) {
+    HatTryOnApp.showStartupError(
+      "Missing bundled libraries. Run scripts/vendor-assets.sh and reload.",
+      missing
+    );
+    return;
+  }
+
   const startApp = () => {
     window.app = new HatTryOnApp();
   };
@@ -0,0 +1,169 @@
+/**
+ * Clip Recorder
+ * Records the composited try-on output with MediaRecorder, one frame per
+ * rendered frame
+ */
+
+class ClipRecorder {
+  constructor(compositor, options = {}) {
+    this.compositor = compositor;
+    this.maxDuration = options.maxDuration || 30000;
+    this.onTick = options.onTick || (() => {});
+    this.onStop = options.onStop || (() => {});
+    this.onError = options.onError || console.error;
+
+    this.mediaRecorder = null;
+    this.stream = null;
+    this.track = null;
+    this.chunks = [];
+    this.startTime = 0;
+    this.isRecording = false;
+  }
+
+  /**
+   * Check whether clips can be recorded in this browser
+   * @returns {boolean} Recording support
+   */
+  static isSupported() {
+    return (
+      typeof MediaRecorder !== "undefined" &&
+      typeof HTMLCanvasElement.prototype.captureStream === "function"
+    );
+  }
+
+  /**
+   * Pick the best supported container, preferring MP4 for shareability
+   * @returns {string} MIME type, or "" to let the browser choose
+   */
+  static getMimeType() {
+    const candidates = [
+      "video/mp4;codecs=avc1",
+      "video/mp4",
+      "video/webm;codecs=vp9",
+      "video/webm;codecs=vp8",
+      "video/webm",
+    ];
+    return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+  }
+
+  /**
+   * Start recording
+   * @returns {boolean} Whether recording started
+   */
+  start() {
+    if (this.isRecording) return false;
+
+    // Size the compositor canvas before its stream is created
+    if (!this.compositor.compose()) {
+      this.onError("No camera frame to record");
+      return false;
+    }
+
+    // Frame rate 0: frames are pushed manually from the render loop
+    this.stream = this.compositor.canvas.captureStream(0);
+    this.track = this.stream.getVideoTracks()[0];
+
+    const mimeType = ClipRecorder.getMimeType();
+    try {
+      this.mediaRecorder = new MediaRecorder(
+        this.stream,
+        mimeType ? { mimeType } : undefined
+      );
+    } catch (error) {
+      this.releaseStream();
+      this.onError("Recording is not supported: " + error.message);
+      return false;
+    }
+
+    this.chunks = [];
+    this.mediaRecorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) {
+        this.chunks.push(e.data);
+      }
+    };
+    this.mediaRecorder.onstop = () => this.finish();
+
+    this.mediaRecorder.start(1000);
+    this.startTime = performance.now();
+    this.isRecording = true;
+    this.captureFrame();
+
+    return true;
+  }
+
+  /**
+   * Composite and record the current frame. Call once per rendered frame.
+   */
+  captureFrame() {
+    if (!this.isRecording) return;
+
+    const elapsed = performance.now() - this.startTime;
+    if (elapsed >= this.maxDuration) {
+      this.stop();
+      return;
+    }
+
+    if (this.compositor.compose() && this.track.requestFrame) {
+      this.track.requestFrame();
+    }
+
+    this.onTick(elapsed);
+  }
+
+  /**
+   * Stop recording; onStop receives the finished clip
+   */
+  stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+
+    if (this.mediaRecorder && this.mediaRecorder.state !== "inactive") {
+      this.mediaRecorder.stop();
+    } else {
+      this.releaseStream();
+    }
+  }
+
+  /**
+   * Assemble recorded chunks into a clip
+   */
+  finish() {
+    const type = this.mediaRecorder.mimeType || "video/webm";
+    const blob = new Blob(this.chunks, { type: type.split(";")[0] });
+    const extension = blob.type === "video/mp4" ? "mp4" : "webm";
+
+    this.chunks = [];
+    this.mediaRecorder = null;
+    this.releaseStream();
+
+    if (blob.size > 0) {
+      this.onStop(blob, FrameCompositor.filename(extension));
+    } else {
+      this.onError("Recording produced no data");
+    }
+  }
+
+  /**
+   * Stop the canvas capture stream
+   */
+  releaseStream() {
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+    }
+    this.stream = null;
+    this.track = null;
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.onStop = () => {};
+    this.stop();
+  }
+}
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ClipRecorder;
+}
@@ -0,0 +1,181 @@
+/**
+ * Contact Shadow
+ * Soft shadow of the hat's brim drawn onto the head proxy. Each fragment of
+ * the head is traced toward the light up to the brim plane; where that lands
+ * inside the brim's footprint the head is darkened, fading out with distance
+ * below the brim.
+ */
+
+class ContactShadow {
+  constructor(scene, headProxy, light) {
+    this.scene = scene;
+    this.headProxy = headProxy;
+    this.enabled = true;
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        // World-to-hat transform, so the brim is tested in hat units
+        hatInverse: { value: new THREE.Matrix4() },
+        brimCenter: { value: new THREE.Vector2() },
+        brimRadius: { value: new THREE.Vector2(1, 1) },
+        brimY: { value: 0 },
+        opacity: { value: 0 },
+        falloff: { value: ContactShadow.FALLOFF },
+        // Shared with the renderer, which drives them from the scene lighting
+        lightDirection: light.direction,
+        lightStrength: light.strength,
+        softness: light.softness,
+      },
+      vertexShader: ContactShadow.VERTEX_SHADER,
+      fragmentShader: ContactShadow.FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false,
+    });
+
+    // Shares the proxy's sphere and is scaled just past it, so the depth-only
+    // proxy doesn't hide it
+    this.mesh = new THREE.Mesh(headProxy.mesh.geometry, this.material);
+    this.mesh.visible = false;
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Take the brim footprint from a calibrated hat
+   * @param {Object} brim - {center: [x, z], radius: [x, z], y} in hat units
+   */
+  setBrim(brim) {
+    const uniforms = this.material.uniforms;
+    uniforms.brimCenter.value.set(brim.center[0], brim.center[1]);
+    uniforms.brimRadius.value.set(brim.radius[0], brim.radius[1]);
+    uniforms.brimY.value = brim.y;
+  }
+
+  /**
+   * Follow the head proxy and the hat's pose
+   * @param {THREE.Object3D} hatGroup - Posed hat group
+   */
+  update(hatGroup) {
+    if (!this.enabled || !this.headProxy.isFitted) {
+      this.hide();
+      return;
+    }
+
+    const proxy = this.headProxy.mesh;
+    this.mesh.position.copy(proxy.position);
+    this.mesh.quaternion.copy(proxy.quaternion);
+    this.mesh.scale.copy(proxy.scale).multiplyScalar(ContactShadow.LIFT);
+
+    hatGroup.updateMatrixWorld();
+    this.material.uniforms.hatInverse.value.copy(hatGroup.matrixWorld).invert();
+    this.mesh.visible = true;
+  }
+
+  /**
+   * Fade the shadow along with its hat
+   * @param {number} opacity - Hat opacity (0-1)
+   */
+  setOpacity(opacity) {
+    this.material.uniforms.opacity.value = ContactShadow.OPACITY * opacity;
+  }
+
+  /**
+   * Hide the shadow until the next update
+   */
+  hide() {
+    this.mesh.visible = false;
+  }
+
+  /**
+   * Enable or disable the shadow
+   * @param {boolean} enabled - Whether the shadow should be drawn
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.hide();
+    }
+  }
+
+  /**
+   * Clean up resources; the geometry belongs to the head proxy
+   */
+  destroy() {
+    this.scene.remove(this.mesh);
+    this.material.dispose();
+  }
+
+  /**
+   * Brim footprint of a calibrated hat, from its bounds
+   * @param {THREE.Object3D} hatGroup - Calibrated hat group
+   * @returns {Object} {center: [x, z], radius: [x, z], y} in hat units
+   */
+  static measureBrim(hatGroup) {
+    const bounds = new THREE.Box3().setFromObject(hatGroup);
+    return {
+      center: [
+        (bounds.min.x + bounds.max.x) / 2,
+        (bounds.min.z + bounds.max.z) / 2,
+      ],
+      radius: [
+        (bounds.max.x - bounds.min.x) / 2,
+        (bounds.max.z - bounds.min.z) / 2,
+      ],
+      y: bounds.min.y,
+    };
+  }
+}
+
+// Darkest shadow, at full light strength
+ContactShadow.OPACITY = 0.45;
+
+// Distance below the brim over which the shadow fades out (hat units)
+ContactShadow.FALLOFF = 0.3;
+
+// Scale of the shadow shell relative to the head proxy
+ContactShadow.LIFT = 1.01;
+
+ContactShadow.VERTEX_SHADER = `
+  varying vec3 vWorldPosition;
+
+  void main() {
+    vec4 world = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = world.xyz;
+    gl_Position = projectionMatrix * viewMatrix * world;
+  }
+`;
+
+ContactShadow.FRAGMENT_SHADER = `
+  uniform mat4 hatInverse;
+  uniform vec2 brimCenter;
+  uniform vec2 brimRadius;
+  uniform float brimY;
+  uniform float opacity;
+  uniform float falloff;
+  uniform vec3 lightDirection;
+  uniform float lightStrength;
+  uniform float softness;
+
+  varying vec3 vWorldPosition;
+
+  void main() {
+    vec3 p = (hatInverse * vec4(vWorldPosition, 1.0)).xyz;
+    float below = brimY - p.y;
+    if (below <= 0.0) discard;
+
+    // Trace toward the light up to the brim plane; light from below the brim
+    // is clamped so the trace stays short
+    vec3 light = normalize(mat3(hatInverse) * lightDirection);
+    vec2 hit = p.xz + light.xz * below / max(light.y, 0.2);
+
+    float edge = length((hit - brimCenter) / brimRadius);
+    float covered = 1.0 - smoothstep(1.0 - softness, 1.0 + softness, edge);
+    float contact = 1.0 - smoothstep(0.0, falloff, below);
+
+    gl_FragColor = vec4(0.0, 0.0, 0.0, opacity * lightStrength * covered * contact);
+  }
+`;
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ContactShadow;
+}
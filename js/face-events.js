@@ -0,0 +1,363 @@
+/**
+ * Face Events
+ * Spots momentary face gestures in tracked landmarks: blinks, smiles, the
+ * mouth opening, the eyebrows going up, and head nods and shakes. Each
+ * face's events are listed on its face data for the detection where they
+ * fire. Every event has a threshold, a time it must be held before firing
+ * and a cooldown before it can fire again.
+ */
+
+class FaceEvents {
+  constructor(settings = {}) {
+    // Per-event {threshold, hold, cooldown}
+    this.settings = {};
+    Object.keys(FaceEvents.DEFAULTS).forEach((name) => {
+      this.settings[name] = { ...FaceEvents.DEFAULTS[name] };
+    });
+    this.configure(settings);
+
+    // Per-face detector state, keyed by face id
+    this.states = new Map();
+  }
+
+  /**
+   * Change event settings
+   * @param {Object} settings - Event name to partial {threshold, hold,
+   *   cooldown}; unknown events and invalid values are ignored
+   */
+  configure(settings) {
+    Object.entries(settings || {}).forEach(([name, changes]) => {
+      const current = this.settings[name];
+      if (!current || !changes || typeof changes !== "object") return;
+
+      ["threshold", "hold", "cooldown"].forEach((key) => {
+        if (typeof changes[key] === "number" && changes[key] >= 0) {
+          current[key] = changes[key];
+        }
+      });
+    });
+  }
+
+  /**
+   * Detect events for this frame's faces and set face.events on each
+   * @param {Array} faces - Tracked face data with ids and rawLandmarks
+   * @param {number} timestamp - Frame time (ms)
+   * @param {Object} frameSize - {width, height} of the frame in pixels
+   */
+  detect(faces, timestamp, frameSize) {
+    faces.forEach((face) => {
+      let state = this.states.get(face.id);
+      if (!state) {
+        state = FaceEvents.createState();
+        this.states.set(face.id, state);
+      }
+
+      const metrics = FaceEvents.measure(face.rawLandmarks, frameSize);
+      face.events = this.update(state, metrics, face.rotation, timestamp);
+    });
+  }
+
+  /**
+   * Advance one face's detectors
+   * @param {Object} state - State from createState
+   * @param {Object} metrics - Measurements from measure
+   * @param {Object} rotation - Head rotation {pitch, yaw, roll}
+   * @param {number} timestamp - Frame time (ms)
+   * @returns {Array<string>} Events that fired on this frame
+   */
+  update(state, metrics, rotation, timestamp) {
+    const events = [];
+    const elapsed =
+      state.lastTime === null ? null : Math.max(timestamp - state.lastTime, 0);
+    state.lastTime = timestamp;
+
+    // Slow-moving neutral values, so faces that rest differently still work
+    const settle = (key, value) => {
+      if (state.baselines[key] === null || elapsed === null) {
+        state.baselines[key] = value;
+      } else {
+        const weight = 1 - Math.exp(-elapsed / FaceEvents.BASELINE_TIME);
+        state.baselines[key] += (value - state.baselines[key]) * weight;
+      }
+      return state.baselines[key];
+    };
+    const isActive = (name) => state.since[name] !== undefined;
+
+    // Fire unless the event fired too recently on this face
+    const emit = (name) => {
+      const last = state.lastFired[name];
+      if (
+        last !== undefined &&
+        timestamp - last < this.settings[name].cooldown
+      ) {
+        return;
+      }
+      state.lastFired[name] = timestamp;
+      events.push(name);
+    };
+
+    // On above the threshold, off again below a lower one, so a value
+    // hovering near the threshold doesn't flicker; fires once per activation
+    // after being held
+    const level = (name, value) => {
+      const { threshold, hold } = this.settings[name];
+      const wasActive = isActive(name);
+      const active = wasActive
+        ? value > threshold * FaceEvents.RELEASE
+        : value > threshold;
+
+      if (!active) {
+        delete state.since[name];
+        return;
+      }
+      if (!wasActive) {
+        state.since[name] = timestamp;
+        state.fired[name] = false;
+      }
+      if (!state.fired[name] && timestamp - state.since[name] >= hold) {
+        state.fired[name] = true;
+        emit(name);
+      }
+    };
+
+    // Expression signals relative to the face's neutral value; the neutral
+    // only follows while the expression is off
+    const relative = (name, key) => {
+      const neutral = isActive(name)
+        ? state.baselines[key]
+        : settle(key, metrics[key]);
+      return neutral ? metrics[key] / neutral - 1 : 0;
+    };
+
+    level("mouthOpen", metrics.mouthOpen);
+    level("browRaise", relative("browRaise", "brows"));
+    level("smile", relative("smile", "mouthWidth"));
+    // Lids close toward each other, so the gap shrinks
+    level("blink", -relative("blink", "eyes"));
+
+    // A nod tips the head away and straight back; a shake turns it one way
+    // and then the other. Neutral holds still mid-swing.
+    const swing = (name, key, value, count) => {
+      const movement = state.swings[name];
+      const neutral =
+        movement.direction !== 0 ? state.baselines[key] : settle(key, value);
+      if (
+        FaceEvents.swing(
+          movement,
+          value - neutral,
+          timestamp,
+          this.settings[name].threshold,
+          count
+        )
+      ) {
+        emit(name);
+      }
+    };
+    swing("nod", "pitch", rotation ? rotation.pitch : 0, FaceEvents.NOD_SWINGS);
+    swing("shake", "yaw", rotation ? rotation.yaw : 0, FaceEvents.SHAKE_SWINGS);
+
+    return events;
+  }
+
+  /**
+   * Forget faces that are no longer tracked
+   * @param {Array<number>} faceIds - Ids of dropped faces
+   */
+  forget(faceIds) {
+    faceIds.forEach((faceId) => this.states.delete(faceId));
+  }
+
+  /**
+   * Forget every face, e.g. when face ids restart
+   */
+  reset() {
+    this.states.clear();
+  }
+
+  /**
+   * Fresh detector state for a newly seen face
+   * @returns {Object} State
+   */
+  static createState() {
+    return {
+      lastTime: null,
+      // When each level event turned on, and whether it has fired since
+      since: {},
+      fired: {},
+      lastFired: {},
+      baselines: {
+        brows: null,
+        mouthWidth: null,
+        eyes: null,
+        pitch: null,
+        yaw: null,
+      },
+      swings: {
+        nod: { direction: 0, start: null, swings: [] },
+        shake: { direction: 0, start: null, swings: [] },
+      },
+    };
+  }
+
+  /**
+   * Measure expression signals from landmarks
+   * @param {Array} landmarks - Face mesh landmarks
+   * @param {Object} frameSize - {width, height} in pixels, so ratios aren't
+   *   skewed by the frame's aspect
+   * @returns {Object} {mouthOpen: lip gap over mouth width, mouthWidth and
+   *   brows: mouth width and brow height above the eyes over the eye
+   *   distance, eyes: lid gap over eye width}
+   */
+  static measure(landmarks, frameSize) {
+    const points = FaceEvents.LANDMARKS;
+    const distance = (a, b) =>
+      Math.hypot(
+        (landmarks[a].x - landmarks[b].x) * frameSize.width,
+        (landmarks[a].y - landmarks[b].y) * frameSize.height
+      );
+
+    const mouthWidth = distance(points.mouthLeft, points.mouthRight);
+    const eyeDistance = distance(points.leftEye, points.rightEye);
+    const brows =
+      (distance(points.leftBrow, points.leftEyelid) +
+        distance(points.rightBrow, points.rightEyelid)) /
+      2;
+    const opening = (lid, lower, outer, inner) => {
+      const width = distance(outer, inner);
+      return width ? distance(lid, lower) / width : 0;
+    };
+    const eyes =
+      (opening(
+        points.leftEyelid,
+        points.leftLowerLid,
+        points.leftEye,
+        points.leftEyeInner
+      ) +
+        opening(
+          points.rightEyelid,
+          points.rightLowerLid,
+          points.rightEye,
+          points.rightEyeInner
+        )) /
+      2;
+
+    return {
+      mouthOpen: mouthWidth
+        ? distance(points.upperLip, points.lowerLip) / mouthWidth
+        : 0,
+      mouthWidth: eyeDistance ? mouthWidth / eyeDistance : 0,
+      brows: eyeDistance ? brows / eyeDistance : 0,
+      eyes: eyes,
+    };
+  }
+
+  /**
+   * Track back-and-forth movements, e.g. pitch for nods. A swing is the
+   * offset leaving neutral and coming back; consecutive swings must go in
+   * opposite directions.
+   * @param {Object} swing - {direction, start, swings} state for this movement
+   * @param {number} offset - Current offset from neutral
+   * @param {number} timestamp - Frame time (ms)
+   * @param {number} amplitude - Offset that takes a swing out of neutral
+   * @param {number} count - Swings that make up the movement
+   * @returns {boolean} True when the movement completes on this frame
+   */
+  static swing(swing, offset, timestamp, amplitude, count) {
+    // Only swings that started within the window count
+    const limit = FaceEvents.SWING_WINDOW;
+    swing.swings = swing.swings.filter((s) => timestamp - s.start <= limit);
+
+    const leave = () => {
+      if (Math.abs(offset) > amplitude) {
+        swing.direction = Math.sign(offset);
+        swing.start = timestamp;
+      }
+    };
+
+    if (swing.direction === 0) {
+      leave();
+      return false;
+    }
+
+    // A swing ends back at neutral, or past it when frames are far apart
+    const isBack =
+      Math.abs(offset) <= amplitude * FaceEvents.SWING_RETURN ||
+      Math.sign(offset) !== swing.direction;
+    if (!isBack) return false;
+
+    const done = { direction: swing.direction, start: swing.start };
+    swing.direction = 0;
+    // Already far enough the other way to start the next swing
+    leave();
+    if (timestamp - done.start > limit) return false;
+
+    const last = swing.swings[swing.swings.length - 1];
+    if (last && last.direction === done.direction) {
+      swing.swings.pop();
+    }
+    swing.swings.push(done);
+
+    if (swing.swings.length >= count) {
+      swing.swings = [];
+      return true;
+    }
+    return false;
+  }
+}
+
+// Events and their settings. Thresholds: lip gap over mouth width
+// (mouthOpen); rise over the neutral value (browRaise: brow height, smile:
+// mouth width); fraction of the neutral lid gap lost (blink); head turn away
+// from neutral in radians (nod, shake). Hold applies to all but nod and shake
+// (ms); cooldown is the least time between two firings on one face (ms).
+FaceEvents.DEFAULTS = {
+  // Held past an ordinary blink, so only deliberate ones count
+  blink: { threshold: 0.5, hold: 250, cooldown: 1000 },
+  smile: { threshold: 0.12, hold: 300, cooldown: 1500 },
+  mouthOpen: { threshold: 0.35, hold: 100, cooldown: 1000 },
+  browRaise: { threshold: 0.12, hold: 100, cooldown: 1000 },
+  nod: { threshold: 0.12, hold: 0, cooldown: 1000 },
+  shake: { threshold: 0.15, hold: 0, cooldown: 1000 },
+};
+
+// Event names, in display order
+FaceEvents.NAMES = Object.keys(FaceEvents.DEFAULTS);
+
+// A level event ends once its value drops below this fraction of the threshold
+FaceEvents.RELEASE = 0.7;
+
+// Swings that make up a nod (away and back) and a shake (both ways)
+FaceEvents.NOD_SWINGS = 1;
+FaceEvents.SHAKE_SWINGS = 2;
+
+// Time a movement must be completed within (ms)
+FaceEvents.SWING_WINDOW = 1000;
+
+// Fraction of the swing amplitude under which the head is back at neutral
+FaceEvents.SWING_RETURN = 0.5;
+
+// Time constant of the neutral expression and head angles (ms)
+FaceEvents.BASELINE_TIME = 2000;
+
+// Face-mesh landmarks the signals are measured from
+FaceEvents.LANDMARKS = {
+  upperLip: 13,
+  lowerLip: 14,
+  mouthLeft: 78,
+  mouthRight: 308,
+  leftEye: 33,
+  rightEye: 263,
+  leftEyeInner: 133,
+  rightEyeInner: 362,
+  leftBrow: 105,
+  rightBrow: 334,
+  leftEyelid: 159,
+  rightEyelid: 386,
+  leftLowerLid: 145,
+  rightLowerLid: 374,
+};
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FaceEvents;
+}
@@ -0,0 +1,101 @@
+/**
+ * Face Tracker
+ * Gives each detected face a stable identity across frames by matching
+ * detections to the closest existing track
+ */
+
+class FaceTracker {
+  constructor(options = {}) {
+    // Max centre distance for a match, in multiples of the track's face width
+    this.maxDistance = options.maxDistance || 1.0;
+    // Frames a track survives without a matching detection
+    this.maxMissedFrames = options.maxMissedFrames || 15;
+
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Match this frame's detections against existing tracks
+   * @param {Array} faces - Face data objects with center and faceWidth
+   * @returns {Object} {faces: faces tagged with id, lost: ids of dropped tracks}
+   */
+  update(faces) {
+    // Score every track/detection pair, then match greedily from closest
+    const pairs = [];
+    this.tracks.forEach((track, t) => {
+      faces.forEach((face, f) => {
+        const distance = Utils.distance3D(track.center, face.center);
+        const limit = track.faceWidth * this.maxDistance;
+        if (distance <= limit) {
+          pairs.push({ t, f, distance });
+        }
+      });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const trackMatched = new Set();
+    const faceIds = new Array(faces.length).fill(null);
+
+    pairs.forEach(({ t, f }) => {
+      if (trackMatched.has(t) || faceIds[f] !== null) return;
+      trackMatched.add(t);
+      faceIds[f] = this.tracks[t].id;
+      this.refresh(this.tracks[t], faces[f]);
+    });
+
+    // Age out unmatched tracks
+    const lost = [];
+    this.tracks = this.tracks.filter((track, t) => {
+      if (trackMatched.has(t)) return true;
+      track.missedFrames++;
+      if (track.missedFrames > this.maxMissedFrames) {
+        lost.push(track.id);
+        return false;
+      }
+      return true;
+    });
+
+    // Unmatched detections start new tracks
+    faces.forEach((face, f) => {
+      if (faceIds[f] !== null) return;
+      const track = { id: this.nextId++, missedFrames: 0 };
+      this.refresh(track, face);
+      this.tracks.push(track);
+      faceIds[f] = track.id;
+    });
+
+    // Report faces in identity order so the oldest face stays first
+    const tagged = faces
+      .map((face, f) => ({ ...face, id: faceIds[f] }))
+      .sort((a, b) => a.id - b.id);
+
+    return { faces: tagged, lost };
+  }
+
+  /**
+   * Copy the latest detection into a track
+   * @param {Object} track - Track to update
+   * @param {Object} face - Matched face data
+   */
+  refresh(track, face) {
+    track.center = face.center;
+    track.faceWidth = face.faceWidth;
+    track.missedFrames = 0;
+  }
+
+  /**
+   * Forget all tracks
+   * @returns {Array} Ids of the dropped tracks
+   */
+  reset() {
+    const lost = this.tracks.map((track) => track.id);
+    this.tracks = [];
+    return lost;
+  }
+}
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FaceTracker;
+}
@@ -0,0 +1,262 @@
+/**
+ * Frame Compositor
+ * Flattens the input frame and the rendered hat layer into a
+ * single canvas for photos and recordings
+ */
+
+class FrameCompositor {
+  constructor(source, hatRenderer, options = {}) {
+    this.source = source;
+    this.hatRenderer = hatRenderer;
+    this.canvas = document.createElement("canvas");
+    this.ctx = this.canvas.getContext("2d");
+
+    // Optional layer drawn between the frame and the hat
+    this.hairClipper = options.hairClipper || null;
+
+    // Optional overlays
+    this.watermark = options.watermark || null;
+    this.frameImage = null;
+    if (options.frameUrl) {
+      this.setFrame(options.frameUrl);
+    }
+  }
+
+  /**
+   * Load a frame image drawn over the whole output
+   * @param {string|null} url - Image URL, or null to remove the frame
+   */
+  setFrame(url) {
+    this.frameImage = null;
+    if (!url) return;
+
+    const image = new Image();
+    image.onload = () => (this.frameImage = image);
+    image.onerror = () => console.warn("Capture frame failed to load:", url);
+    image.src = url;
+  }
+
+  /**
+   * Set the watermark text
+   * @param {string|null} text - Watermark text, or null to disable it
+   */
+  setWatermark(text) {
+    this.watermark = text || null;
+  }
+
+  /**
+   * Work out which part of the video is on screen.
+   * The video uses object-fit: cover, so the container shows a centred crop.
+   * @returns {Object|null} Crop {x, y, width, height} in video pixels
+   */
+  getVisibleRegion() {
+    const videoWidth = this.source.width;
+    const videoHeight = this.source.height;
+    const container = this.hatRenderer.canvas.parentElement;
+    if (!videoWidth || !videoHeight || !container) return null;
+
+    const scale = Math.max(
+      container.clientWidth / videoWidth,
+      container.clientHeight / videoHeight
+    );
+    const width = Math.round(container.clientWidth / scale);
+    const height = Math.round(container.clientHeight / scale);
+
+    return {
+      x: Math.round((videoWidth - width) / 2),
+      y: Math.round((videoHeight - height) / 2),
+      width: width,
+      height: height,
+    };
+  }
+
+  /**
+   * Draw the current frame into the compositor canvas
+   * @param {Object} options - {fullResolution: re-render the hat at video resolution}
+   * @returns {HTMLCanvasElement|null} Composited canvas
+   */
+  compose(options = {}) {
+    const region = this.getVisibleRegion();
+    if (!region) return null;
+
+    if (
+      this.canvas.width !== region.width ||
+      this.canvas.height !== region.height
+    ) {
+      this.canvas.width = region.width;
+      this.canvas.height = region.height;
+    }
+
+    const ctx = this.ctx;
+    const { width, height } = region;
+
+    // Input frame, mirrored like the on-screen video
+    ctx.save();
+    if (this.source.mirrored) {
+      ctx.translate(width, 0);
+      ctx.scale(-1, 1);
+    }
+    ctx.drawImage(
+      this.source.element,
+      region.x,
+      region.y,
+      width,
+      height,
+      0,
+      0,
+      width,
+      height
+    );
+    this.drawHairLayer(region);
+    ctx.restore();
+
+    // Hat layer
+    if (options.fullResolution) {
+      this.hatRenderer.renderSnapshot(width, height, (glCanvas) => {
+        ctx.drawImage(glCanvas, 0, 0, width, height);
+      });
+    } else {
+      ctx.drawImage(this.hatRenderer.canvas, 0, 0, width, height);
+    }
+
+    this.drawOverlays(width, height);
+
+    return this.canvas;
+  }
+
+  /**
+   * Draw the clipped-hair layer over the frame, cropped the same way
+   * @param {Object} region - Visible crop in video pixels
+   */
+  drawHairLayer(region) {
+    if (!this.hairClipper || !this.hairClipper.isActive) return;
+
+    // The layer covers the whole frame at its own resolution
+    const layer = this.hairClipper.canvas;
+    const scale = layer.width / this.source.width;
+    this.ctx.drawImage(
+      layer,
+      region.x * scale,
+      region.y * scale,
+      region.width * scale,
+      region.height * scale,
+      0,
+      0,
+      region.width,
+      region.height
+    );
+  }
+
+  /**
+   * Draw frame and watermark overlays
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   */
+  drawOverlays(width, height) {
+    const ctx = this.ctx;
+
+    if (this.frameImage) {
+      ctx.drawImage(this.frameImage, 0, 0, width, height);
+    }
+
+    if (this.watermark) {
+      const fontSize = Math.max(12, Math.round(height * 0.035));
+      const margin = fontSize;
+
+      ctx.save();
+      ctx.font = `700 ${fontSize}px "Syne", sans-serif`;
+      ctx.textAlign = "right";
+      ctx.textBaseline = "bottom";
+      ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+      ctx.shadowColor = "rgba(0, 0, 0, 0.5)";
+      ctx.shadowBlur = fontSize / 4;
+      ctx.fillText(this.watermark, width - margin, height - margin);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Capture a still photo of the current frame
+   * @param {string} type - "image/png" or "image/jpeg"
+   * @param {number} quality - JPEG quality (0-1)
+   * @returns {Promise<Blob>} Image blob
+   */
+  capturePhoto(type = "image/png", quality = 0.92) {
+    const canvas = this.compose({ fullResolution: true });
+    if (!canvas) {
+      return Promise.reject(new Error("No camera frame to capture"));
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) =>
+          blob ? resolve(blob) : reject(new Error("Image encoding failed")),
+        type,
+        quality
+      );
+    });
+  }
+
+  /**
+   * Save a blob through a temporary download link
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Suggested file name
+   */
+  static download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Check whether a blob can go through the Web Share API
+   * @param {Blob} blob - File contents
+   * @param {string} filename - File name
+   * @returns {boolean} Share support
+   */
+  static canShare(blob, filename) {
+    if (!navigator.share || !navigator.canShare) return false;
+    const file = new File([blob], filename, { type: blob.type });
+    return navigator.canShare({ files: [file] });
+  }
+
+  /**
+   * Share a blob through the Web Share API
+   * @param {Blob} blob - File contents
+   * @param {string} filename - File name
+   * @returns {Promise<boolean>} Whether the share completed
+   */
+  static async share(blob, filename) {
+    const file = new File([blob], filename, { type: blob.type });
+    try {
+      await navigator.share({ files: [file], title: "HatAR" });
+      return true;
+    } catch (error) {
+      // AbortError means the user closed the share sheet
+      if (error.name !== "AbortError") {
+        console.error("Share failed:", error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Build a timestamped file name
+   * @param {string} extension - File extension without the dot
+   * @returns {string} File name
+   */
+  static filename(extension) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    return `hatar-${stamp}.${extension}`;
+  }
+}
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FrameCompositor;
+}
@@ -0,0 +1,225 @@
+/**
+ * Hair Clipper
+ * Hides hair that pokes out above a hat's brim. Sweeping each brim upward
+ * marks where hair should be under the hat; inside that area the person mask
+ * is painted over with background remembered from earlier frames, or with a
+ * heavy blur where no background has been seen yet. The result is drawn on
+ * its own canvas between the video and the hat layer.
+ */
+
+class HairClipper {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.enabled = false;
+
+    // Background seen around the person so far, in frame coordinates
+    this.plate = document.createElement("canvas");
+    this.plateCtx = this.plate.getContext("2d");
+    this.scratch = document.createElement("canvas");
+    this.scratchCtx = this.scratch.getContext("2d");
+    this.region = document.createElement("canvas");
+    this.regionCtx = this.region.getContext("2d");
+    this.blur = document.createElement("canvas");
+    this.blurCtx = this.blur.getContext("2d");
+
+    // Mask the plate was last updated from
+    this.maskVersion = null;
+  }
+
+  /**
+   * Turn clipping on or off
+   * @param {boolean} enabled - Whether to clip hair
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.reset();
+    }
+  }
+
+  /**
+   * Hide the layer and forget the remembered background, e.g. when the input
+   * source changes
+   */
+  reset() {
+    this.clear();
+    this.plateCtx.clearRect(0, 0, this.plate.width, this.plate.height);
+    this.maskVersion = null;
+  }
+
+  /**
+   * Hide the layer until the next update
+   */
+  clear() {
+    this.canvas.hidden = true;
+  }
+
+  /**
+   * Check whether the layer currently shows anything
+   * @returns {boolean} True when clipped hair is being drawn
+   */
+  get isActive() {
+    return !this.canvas.hidden;
+  }
+
+  /**
+   * Redraw the layer for the current frame
+   * @param {InputSource} source - Current input source
+   * @param {HairSegmenter} segmenter - Segmenter holding the person mask
+   * @param {Array} outlines - Brims from HatRenderer.getBrimOutlines
+   */
+  update(source, segmenter, outlines) {
+    if (
+      !this.enabled ||
+      !source.hasPixels ||
+      !segmenter.mask ||
+      outlines.length === 0
+    ) {
+      this.clear();
+      return;
+    }
+
+    const { width, height } = this.resize(source);
+    const frame = source.element;
+    const mask = segmenter.canvas;
+
+    // Remember background wherever the newest mask says there is no person
+    if (segmenter.maskVersion !== this.maskVersion) {
+      this.maskVersion = segmenter.maskVersion;
+      const scratch = this.scratchCtx;
+      scratch.globalCompositeOperation = "source-over";
+      scratch.clearRect(0, 0, width, height);
+      scratch.drawImage(frame, 0, 0, width, height);
+      scratch.globalCompositeOperation = "destination-out";
+      scratch.drawImage(mask, 0, 0, width, height);
+      scratch.globalCompositeOperation = "source-over";
+      this.plateCtx.drawImage(this.scratch, 0, 0);
+    }
+
+    // Person pixels inside the brims' upward sweep
+    const region = this.regionCtx;
+    region.globalCompositeOperation = "source-over";
+    region.globalAlpha = 1;
+    region.clearRect(0, 0, width, height);
+    region.drawImage(mask, 0, 0, width, height);
+    region.globalCompositeOperation = "destination-in";
+    region.globalAlpha = Math.max(...outlines.map((brim) => brim.opacity));
+    region.beginPath();
+    outlines.forEach((brim) => {
+      const points = HairClipper.sweep(
+        brim.points.map((p) => ({ x: p.x * width, y: p.y * height })),
+        { x: brim.up.x * width, y: brim.up.y * height },
+        height * 2
+      );
+      points.forEach((p, i) =>
+        i === 0 ? region.moveTo(p.x, p.y) : region.lineTo(p.x, p.y)
+      );
+      region.closePath();
+    });
+    region.fill();
+
+    // Fill: a blurred frame where no background is known, the plate elsewhere
+    const blurWidth = HairClipper.BLUR_WIDTH;
+    const blurHeight = Math.max(1, Math.round((blurWidth * height) / width));
+    this.blur.width = blurWidth;
+    this.blur.height = blurHeight;
+    this.blurCtx.drawImage(frame, 0, 0, blurWidth, blurHeight);
+
+    const ctx = this.ctx;
+    ctx.globalCompositeOperation = "source-over";
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(this.blur, 0, 0, width, height);
+    ctx.drawImage(this.plate, 0, 0);
+    ctx.globalCompositeOperation = "destination-in";
+    ctx.drawImage(this.region, 0, 0);
+    ctx.globalCompositeOperation = "source-over";
+
+    this.canvas.classList.toggle("mirrored", source.mirrored);
+    this.canvas.hidden = false;
+  }
+
+  /**
+   * Size the working canvases to the frame's aspect ratio
+   * @param {InputSource} source - Current input source
+   * @returns {Object} {width, height} in layer pixels
+   */
+  resize(source) {
+    const width = HairClipper.WIDTH;
+    const height = Math.max(
+      1,
+      Math.round((width * source.height) / source.width)
+    );
+
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      // A new frame shape makes the remembered background meaningless
+      [this.canvas, this.plate, this.scratch, this.region].forEach((canvas) => {
+        canvas.width = width;
+        canvas.height = height;
+      });
+      this.maskVersion = null;
+    }
+    return { width: width, height: height };
+  }
+
+  /**
+   * Area swept by a brim outline moving along a direction
+   * @param {Array} points - Brim outline {x, y}
+   * @param {Object} up - Direction of the crown {x, y}
+   * @param {number} length - How far to sweep
+   * @returns {Array} Convex polygon {x, y}
+   */
+  static sweep(points, up, length) {
+    const norm = Math.hypot(up.x, up.y) || 1;
+    const dx = (up.x / norm) * length;
+    const dy = (up.y / norm) * length;
+
+    return HairClipper.convexHull(
+      points.concat(points.map((p) => ({ x: p.x + dx, y: p.y + dy })))
+    );
+  }
+
+  /**
+   * Convex hull (monotone chain)
+   * @param {Array} points - Points {x, y}
+   * @returns {Array} Hull points in order
+   */
+  static convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) =>
+      (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const half = (list) => {
+      const hull = [];
+      list.forEach((p) => {
+        while (
+          hull.length >= 2 &&
+          cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0
+        ) {
+          hull.pop();
+        }
+        hull.push(p);
+      });
+      hull.pop();
+      return hull;
+    };
+
+    return half(sorted).concat(half(sorted.slice().reverse()));
+  }
+}
+
+// Width of the layer in pixels; the fill is soft, so full resolution is wasted
+HairClipper.WIDTH = 480;
+
+// Width the frame is shrunk to for the fallback blur
+HairClipper.BLUR_WIDTH = 24;
+
+// Segmentation interval while clipping, since the mask must follow the hair
+// closely (ms)
+HairClipper.SEGMENT_INTERVAL = 0;
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HairClipper;
+}
@@ -0,0 +1,278 @@
+/**
+ * Hair Segmenter
+ * Runs MediaPipe Selfie Segmentation now and then and measures each face's
+ * hair silhouette: how far it reaches above the forehead and how wide it is
+ * where a hat band sits. Measurements are ratios of the face's own size, so
+ * they stay valid between segmentations while the head moves.
+ */
+
+class HairSegmenter {
+  constructor(options = {}) {
+    this.segmentation = null;
+    this.isReady = false;
+    this.assetPath =
+      options.assetPath || "vendor/mediapipe/selfie_segmentation/";
+    // Hair changes slowly; segmenting every frame would halve tracking speed
+    this.interval = options.interval || HairSegmenter.INTERVAL;
+    this.onError = options.onError || console.error;
+
+    // Person mask read back at low resolution, one confidence byte per pixel
+    this.canvas = null;
+    this.ctx = null;
+    this.mask = null;
+    // Set when a mask arrives, cleared once faces have been measured on it
+    this.isMaskFresh = false;
+    // Counts masks, so layers drawn from the mask can tell when it changes
+    this.maskVersion = 0;
+    this.lastRun = null;
+
+    // Latest measurement per face id
+    this.measurements = new Map();
+  }
+
+  /**
+   * Load the segmentation model; safe to call again once loaded
+   * @returns {Promise<boolean>} Whether the model is ready
+   */
+  async init() {
+    if (this.isReady) return true;
+
+    try {
+      this.segmentation = new SelfieSegmentation({
+        locateFile: (file) => `${this.assetPath}${file}`,
+      });
+      // Landscape model: faster, and the mask must not be mirrored so it
+      // lines up with face-mesh landmarks
+      this.segmentation.setOptions({ modelSelection: 1, selfieMode: false });
+      this.segmentation.onResults((results) =>
+        this.readMask(results.segmentationMask)
+      );
+
+      await this.segmentation.initialize();
+      this.isReady = true;
+      return true;
+    } catch (error) {
+      this.onError("Failed to initialize hair segmentation: " + error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Segment a frame if the interval has passed
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} frame - Frame
+   * @param {number} now - Current time (ms)
+   */
+  async segment(frame, now) {
+    if (!this.isReady) return;
+    if (this.lastRun !== null && now - this.lastRun < this.interval) return;
+
+    this.lastRun = now;
+    await this.segmentation.send({ image: frame });
+  }
+
+  /**
+   * Copy the mask's confidence into a small byte array
+   * @param {HTMLCanvasElement|ImageBitmap} image - Segmentation mask
+   */
+  readMask(image) {
+    if (!this.canvas) {
+      this.canvas = document.createElement("canvas");
+      this.ctx = this.canvas.getContext("2d", { willReadFrequently: true });
+    }
+
+    const width = HairSegmenter.MASK_WIDTH;
+    const height = Math.max(
+      1,
+      Math.round((width * image.height) / image.width)
+    );
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    this.ctx.clearRect(0, 0, width, height);
+    this.ctx.drawImage(image, 0, 0, width, height);
+    const pixels = this.ctx.getImageData(0, 0, width, height).data;
+
+    // Confidence is carried in the mask's alpha channel
+    const data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = pixels[i * 4 + 3];
+    }
+
+    this.mask = { data: data, width: width, height: height };
+    this.isMaskFresh = true;
+    this.maskVersion++;
+  }
+
+  /**
+   * Attach hair measurements to tracked faces. Faces are only measured on a
+   * fresh mask, which comes from the same frame as their landmarks.
+   * @param {Array} faces - Tracked face data with ids and rawLandmarks
+   */
+  annotate(faces) {
+    if (this.isMaskFresh) {
+      this.isMaskFresh = false;
+      this.measurements.clear();
+      faces.forEach((face) => {
+        const hair = HairSegmenter.measure(this.mask, face.rawLandmarks);
+        if (hair) {
+          this.measurements.set(face.id, hair);
+        }
+      });
+    }
+
+    faces.forEach((face) => {
+      face.hair = this.measurements.get(face.id) || null;
+    });
+  }
+
+  /**
+   * Forget the mask and measurements, e.g. when face ids restart
+   */
+  reset() {
+    this.mask = null;
+    this.isMaskFresh = false;
+    this.lastRun = null;
+    this.measurements.clear();
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.reset();
+
+    if (this.segmentation) {
+      this.segmentation.close();
+      this.segmentation = null;
+    }
+    this.isReady = false;
+  }
+
+  /**
+   * Measure the person silhouette above a face
+   * @param {Object} mask - {data, width, height}, one confidence byte per pixel
+   * @param {Array} landmarks - Face mesh landmarks
+   * @returns {Object|null} {height: reach above the forehead relative to the
+   *   forehead-chin distance, width: width at the hat band relative to the
+   *   temple distance}, or null if the face isn't in the mask
+   */
+  static measure(mask, landmarks) {
+    const indices = HairSegmenter.LANDMARKS;
+    const toPixels = (p) => ({ x: p.x * mask.width, y: p.y * mask.height });
+    const forehead = toPixels(landmarks[indices.forehead]);
+    const chin = toPixels(landmarks[indices.chin]);
+    const leftTemple = toPixels(landmarks[indices.leftTemple]);
+    const rightTemple = toPixels(landmarks[indices.rightTemple]);
+
+    const faceHeight = Math.hypot(forehead.x - chin.x, forehead.y - chin.y);
+    const templeWidth = Math.hypot(
+      rightTemple.x - leftTemple.x,
+      rightTemple.y - leftTemple.y
+    );
+    if (faceHeight < 4 || templeWidth < 4) return null;
+
+    // Head axes in the image, so tilted heads are measured along the head
+    const up = {
+      x: (forehead.x - chin.x) / faceHeight,
+      y: (forehead.y - chin.y) / faceHeight,
+    };
+    const side = {
+      x: (rightTemple.x - leftTemple.x) / templeWidth,
+      y: (rightTemple.y - leftTemple.y) / templeWidth,
+    };
+
+    const inside = (x, y) => {
+      const column = Math.round(x);
+      const row = Math.round(y);
+      if (column < 0 || row < 0 || column >= mask.width) return false;
+      if (row >= mask.height) return false;
+      return mask.data[row * mask.width + column] >= HairSegmenter.THRESHOLD;
+    };
+    // Distance from a point to the silhouette edge along a direction
+    const march = (origin, direction, limit) => {
+      let distance = 0;
+      while (
+        distance < limit &&
+        inside(
+          origin.x + direction.x * (distance + 1),
+          origin.y + direction.y * (distance + 1)
+        )
+      ) {
+        distance++;
+      }
+      return distance;
+    };
+    const offset = (origin, direction, distance) => ({
+      x: origin.x + direction.x * distance,
+      y: origin.y + direction.y * distance,
+    });
+
+    // A forehead outside the mask means segmentation missed this person
+    if (!inside(forehead.x, forehead.y)) return null;
+
+    // Reach above the forehead, across its width; the median ignores stray
+    // columns such as a raised hand
+    const samples = HairSegmenter.SAMPLES;
+    const reaches = [];
+    for (let i = 0; i < samples; i++) {
+      const across = (i / (samples - 1) - 0.5) * HairSegmenter.SPREAD;
+      reaches.push(
+        march(
+          offset(forehead, side, across * templeWidth),
+          up,
+          faceHeight * HairSegmenter.MAX_HEIGHT
+        )
+      );
+    }
+    reaches.sort((a, b) => a - b);
+    const reach = reaches[Math.floor(samples / 2)];
+
+    // Silhouette width where the hat band sits
+    const band = offset(forehead, up, faceHeight * HairSegmenter.BAND_HEIGHT);
+    const limit = templeWidth * HairSegmenter.MAX_WIDTH;
+    const back = { x: -side.x, y: -side.y };
+    const width = march(band, side, limit) + march(band, back, limit);
+
+    return {
+      height: reach / faceHeight,
+      width: width / templeWidth,
+    };
+  }
+}
+
+// Default time between segmentations (ms)
+HairSegmenter.INTERVAL = 250;
+
+// Width of the mask copy in pixels
+HairSegmenter.MASK_WIDTH = 160;
+
+// Mask confidence (0-255) counted as part of the person
+HairSegmenter.THRESHOLD = 128;
+
+// Columns sampled across the forehead, spanning this fraction of the temple
+// distance
+HairSegmenter.SAMPLES = 7;
+HairSegmenter.SPREAD = 0.5;
+
+// Longest reach and widest half-width measured, so a silhouette merging into
+// someone behind doesn't run away (face heights / temple widths)
+HairSegmenter.MAX_HEIGHT = 1.5;
+HairSegmenter.MAX_WIDTH = 1;
+
+// Hat band height above the forehead landmark (face heights)
+HairSegmenter.BAND_HEIGHT = 0.15;
+
+// Face-mesh landmarks the silhouette is measured from
+HairSegmenter.LANDMARKS = {
+  forehead: 10,
+  chin: 152,
+  leftTemple: 127,
+  rightTemple: 356,
+};
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HairSegmenter;
+}
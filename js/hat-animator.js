@@ -0,0 +1,138 @@
+/**
+ * Hat Animator
+ * Plays a hat's glTF animation clips on one hat instance. Clips either loop
+ * from the moment the hat appears or play once when their face does
+ * something, as set by the hat's animation config:
+ *
+ *   { "autoplay": ["Propeller"], "triggers": { "mouthOpen": "Honk" } }
+ *
+ * Without a config every clip loops.
+ */
+
+class HatAnimator {
+  constructor(root, clips = [], config = null) {
+    this.mixer = null;
+    this.root = root;
+    this.lastTime = null;
+
+    // Face event name to the action it plays
+    this.triggers = new Map();
+
+    if (clips.length === 0) return;
+
+    this.mixer = new THREE.AnimationMixer(root);
+    const resolved = config || {};
+    const triggers = resolved.triggers || {};
+    const triggered = new Set(Object.values(triggers));
+
+    // Unconfigured hats loop everything that isn't kept for a trigger
+    const autoplay = Array.isArray(resolved.autoplay)
+      ? resolved.autoplay
+      : clips.map((clip) => clip.name).filter((name) => !triggered.has(name));
+
+    autoplay.forEach((name) => {
+      const clip = THREE.AnimationClip.findByName(clips, name);
+      if (clip) {
+        this.mixer.clipAction(clip).play();
+      } else {
+        console.warn(`HatAnimator: No clip named "${name}" to autoplay`);
+      }
+    });
+
+    Object.entries(triggers).forEach(([event, name]) => {
+      const clip = THREE.AnimationClip.findByName(clips, name);
+      if (!clip) {
+        console.warn(`HatAnimator: No clip named "${name}" for ${event}`);
+        return;
+      }
+      const action = this.mixer.clipAction(clip);
+      action.setLoop(THREE.LoopOnce);
+      this.triggers.set(event, action);
+    });
+  }
+
+  /**
+   * Check whether the hat has anything to animate
+   * @returns {boolean} True when the hat has clips
+   */
+  get hasClips() {
+    return this.mixer !== null;
+  }
+
+  /**
+   * Advance playing clips to the current time
+   * @param {number} now - Render time (ms)
+   */
+  update(now) {
+    if (!this.mixer) return;
+
+    const elapsed = this.lastTime === null ? 0 : now - this.lastTime;
+    this.lastTime = now;
+    // A long stall (e.g. a background tab) resumes rather than skips ahead
+    this.mixer.update(
+      Math.min(Math.max(elapsed, 0), HatAnimator.MAX_STEP) / 1000
+    );
+  }
+
+  /**
+   * Play the clips bound to face events, restarting any already playing
+   * @param {Array<string>} events - Face events that just started
+   */
+  trigger(events = []) {
+    events.forEach((event) => {
+      const action = this.triggers.get(event);
+      if (action) {
+        action.reset().play();
+      }
+    });
+  }
+
+  /**
+   * Stop all clips and release the mixer's cached bindings
+   */
+  destroy() {
+    if (!this.mixer) return;
+
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.root);
+    this.mixer = null;
+  }
+
+  /**
+   * Merge animation configs; later sources win
+   * @param {...Object} sources - Configs (glTF extras, catalog entry)
+   * @returns {Object|null} {autoplay, triggers}, or null if none was given
+   */
+  static resolveConfig(...sources) {
+    const configs = sources.filter((raw) => raw && typeof raw === "object");
+    if (configs.length === 0) return null;
+
+    const config = { autoplay: null, triggers: {} };
+    configs.forEach((raw) => {
+      if (typeof raw.autoplay === "string") {
+        config.autoplay = [raw.autoplay];
+      } else if (Array.isArray(raw.autoplay)) {
+        config.autoplay = raw.autoplay.filter(
+          (name) => typeof name === "string"
+        );
+      }
+
+      if (raw.triggers && typeof raw.triggers === "object") {
+        Object.entries(raw.triggers).forEach(([event, name]) => {
+          if (typeof name === "string") {
+            config.triggers[event] = name;
+          }
+        });
+      }
+    });
+    return config;
+  }
+}
+
+// Longest time advanced in one update (ms)
+HatAnimator.MAX_STEP = 100;
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HatAnimator;
+}
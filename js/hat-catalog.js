@@ -0,0 +1,125 @@
+/**
+ * Hat Catalog
+ * Loads the hat manifest and exposes the available models
+ */
+
+class HatCatalog {
+  constructor(manifestUrl = "models/catalog.json") {
+    this.manifestUrl = manifestUrl;
+    this.items = [];
+    this.defaultId = null;
+  }
+
+  /**
+   * Load and validate the catalog manifest
+   * @returns {Promise<Array>} Catalog items
+   */
+  async load() {
+    const response = await fetch(this.manifestUrl);
+    if (!response.ok) {
+      throw new Error(
+        `Catalog request failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    const manifest = await response.json();
+    this.setItems(manifest.hats || [], manifest.defaultHat);
+
+    return this.items;
+  }
+
+  /**
+   * Replace catalog contents with normalized entries
+   * @param {Array} hats - Raw manifest entries
+   * @param {string} defaultId - Id of the hat to select first
+   */
+  setItems(hats, defaultId = null) {
+    this.items = hats
+      .filter((hat) => hat && hat.id)
+      .map((hat) => HatCatalog.normalize(hat));
+
+    this.defaultId = this.getItem(defaultId)
+      ? defaultId
+      : this.items.length > 0
+      ? this.items[0].id
+      : null;
+  }
+
+  /**
+   * Fill in defaults for a manifest entry
+   * @param {Object} hat - Raw manifest entry
+   * @returns {Object} Normalized catalog item
+   */
+  static normalize(hat) {
+    return {
+      id: String(hat.id),
+      name: hat.name || String(hat.id),
+      thumbnail: hat.thumbnail || null,
+      model: hat.model || null,
+      fit: hat.fit || null,
+      animations:
+        hat.animations && typeof hat.animations === "object"
+          ? hat.animations
+          : null,
+      scale: typeof hat.scale === "number" ? hat.scale : 1.0,
+      yOffset: typeof hat.yOffset === "number" ? hat.yOffset : 0,
+      zOffset: typeof hat.zOffset === "number" ? hat.zOffset : 0,
+    };
+  }
+
+  /**
+   * Resolve an item's fit metadata, fetching it if it is a sidecar URL
+   * @param {Object} item - Catalog item
+   * @returns {Promise<Object|null>} Fit metadata or null
+   */
+  async loadFit(item) {
+    if (!item.fit || typeof item.fit === "object") return item.fit;
+
+    try {
+      const response = await fetch(item.fit);
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.warn(`Fit metadata for "${item.id}" failed to load:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all catalog items
+   * @returns {Array} Catalog items
+   */
+  getItems() {
+    return this.items;
+  }
+
+  /**
+   * Look up an item by id
+   * @param {string} id - Hat id
+   * @returns {Object|null} Catalog item
+   */
+  getItem(id) {
+    return this.items.find((item) => item.id === id) || null;
+  }
+
+  /**
+   * Get the item that follows the given one, wrapping around
+   * @param {string} id - Current hat id
+   * @param {number} step - Direction (1 = next, -1 = previous)
+   * @returns {Object|null} Catalog item
+   */
+  getAdjacent(id, step = 1) {
+    if (this.items.length === 0) return null;
+
+    const index = this.items.findIndex((item) => item.id === id);
+    const next = (index + step + this.items.length) % this.items.length;
+    return this.items[next];
+  }
+}
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HatCatalog;
+}
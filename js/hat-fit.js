@@ -0,0 +1,133 @@
+/**
+ * Hat fit metadata
+ * Describes how a hat model sits on a head: where its anchor is, which way
+ * it faces and how wide its head opening is, all in model units.
+ */
+
+const HatFit = {
+  /**
+   * How far the top of the skull reaches into the crown, relative to the
+   * head-opening diameter. Used when a model doesn't declare an anchor.
+   */
+  DEFAULT_ANCHOR_DEPTH: 0.4,
+
+  /**
+   * Head-opening diameter relative to the widest horizontal extent of the
+   * model. Used when a model doesn't declare an opening.
+   */
+  DEFAULT_OPENING_RATIO: 0.7,
+
+  /**
+   * Parse an axis given as "+x", "-z", "y" or [x, y, z]
+   * @param {string|Array} axis - Axis description
+   * @param {Array} fallback - Axis to use when parsing fails
+   * @returns {Array} Unit vector [x, y, z]
+   */
+  parseAxis(axis, fallback) {
+    let vector = null;
+
+    if (Array.isArray(axis) && axis.length === 3) {
+      vector = axis.map(Number);
+    } else if (typeof axis === "string") {
+      const match = /^([+-]?)([xyz])$/i.exec(axis.trim());
+      if (match) {
+        const sign = match[1] === "-" ? -1 : 1;
+        const index = "xyz".indexOf(match[2].toLowerCase());
+        vector = [0, 0, 0];
+        vector[index] = sign;
+      }
+    }
+
+    const length = vector ? Math.hypot(...vector) : 0;
+    if (!length || !isFinite(length)) return fallback.slice();
+
+    return vector.map((v) => v / length);
+  },
+
+  /**
+   * Derive fit metadata from a model's bounding box
+   * @param {Object} bounds - {min: {x, y, z}, max: {x, y, z}} in model units
+   * @returns {Object} Fit metadata
+   */
+  fromBounds(bounds) {
+    const width = Math.max(
+      bounds.max.x - bounds.min.x,
+      bounds.max.z - bounds.min.z
+    );
+    const headOpening = width * this.DEFAULT_OPENING_RATIO || 1;
+
+    return {
+      anchor: [
+        (bounds.min.x + bounds.max.x) / 2,
+        bounds.min.y + headOpening * this.DEFAULT_ANCHOR_DEPTH,
+        (bounds.min.z + bounds.max.z) / 2,
+      ],
+      up: [0, 1, 0],
+      forward: [0, 0, 1],
+      headOpening: headOpening,
+    };
+  },
+
+  /**
+   * Merge fit sources into a complete description.
+   * Later sources win; missing fields fall back to earlier ones.
+   * @param {Object} base - Complete fit (e.g. from fromBounds)
+   * @param {...Object} overrides - Partial fits (glTF extras, sidecar JSON)
+   * @returns {Object} Fit metadata {anchor, up, forward, headOpening}
+   */
+  resolve(base, ...overrides) {
+    const fit = {
+      anchor: base.anchor.slice(),
+      up: base.up.slice(),
+      forward: base.forward.slice(),
+      headOpening: base.headOpening,
+    };
+
+    overrides
+      .filter((raw) => raw && typeof raw === "object")
+      .forEach((raw) => {
+        if (
+          Array.isArray(raw.anchor) &&
+          raw.anchor.length === 3 &&
+          raw.anchor.every((v) => isFinite(v))
+        ) {
+          fit.anchor = raw.anchor.map(Number);
+        }
+        if (raw.up !== undefined) {
+          fit.up = this.parseAxis(raw.up, fit.up);
+        }
+        if (raw.forward !== undefined) {
+          fit.forward = this.parseAxis(raw.forward, fit.forward);
+        }
+        if (typeof raw.headOpening === "number" && raw.headOpening > 0) {
+          fit.headOpening = raw.headOpening;
+        }
+      });
+
+    // Keep forward perpendicular to up so the basis stays orthonormal
+    const dot = fit.up.reduce((sum, v, i) => sum + v * fit.forward[i], 0);
+    const forward = fit.forward.map((v, i) => v - dot * fit.up[i]);
+    fit.forward = this.parseAxis(forward, this.perpendicular(fit.up));
+
+    return fit;
+  },
+
+  /**
+   * Pick any unit vector perpendicular to the given one
+   * @param {Array} v - Unit vector [x, y, z]
+   * @returns {Array} Perpendicular unit vector
+   */
+  perpendicular(v) {
+    const helper = Math.abs(v[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0];
+    const d = v[0] * helper[0] + v[1] * helper[1] + v[2] * helper[2];
+    return this.parseAxis(
+      helper.map((h, i) => h - d * v[i]),
+      [1, 0, 0]
+    );
+  },
+};
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HatFit;
+}
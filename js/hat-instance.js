@@ -0,0 +1,494 @@
+/**
+ * Hat Instance
+ * One tracked hat on one face, with its own smoothing state and occluder
+ */
+
+class HatInstance {
+  constructor(scene, faceId, template, materials, settings, shadowLight) {
+    this.scene = scene;
+    this.faceId = faceId;
+    this.template = null;
+    this.group = null;
+    // Spring simulation of the hat's loose parts and the model's animation
+    // clips, rebuilt with each model
+    this.secondaryMotion = null;
+    this.animator = null;
+
+    // Pose filters and their latest output
+    this.filter = new Smoothing.PoseFilter(settings.filter, settings.smoothing);
+    this.smoothedPosition = null;
+    this.smoothedScale = null;
+
+    // Filtered pose at the last two detections, for extrapolating between them
+    this.motion = null;
+
+    // Tracking-loss state: when the face was last seen, and the fade level
+    this.lastSeen = null;
+    this.lastFrame = null;
+    this.opacity = 0;
+
+    // Mapping used for the latest pose, for projecting the hat back to image
+    this.projection = null;
+
+    // Material customization made for the current model
+    this.materials = {};
+
+    // Depth-only head stand-in that hides the back of the hat
+    this.headProxy = new HeadProxy(scene);
+    this.headProxy.setEnabled(settings.occlusion);
+
+    // Brim shadow drawn onto the head proxy
+    this.contactShadow = new ContactShadow(scene, this.headProxy, shadowLight);
+    this.contactShadow.setEnabled(settings.contactShadow);
+
+    this.setTemplate(template, materials);
+  }
+
+  /**
+   * Swap the hat model for a new template, keeping the current pose
+   * @param {THREE.Object3D} template - Calibrated hat group to clone
+   * @param {Object} materials - Customization made for that template
+   */
+  setTemplate(template, materials) {
+    if (template === this.template) return;
+
+    this.materials = materials;
+
+    const previous = this.group;
+    // Skinned meshes must be rebound to the clone's own bones
+    const group = SkeletonUtils.clone(template);
+
+    // Own materials so this hat can fade and be recoloured independently;
+    // geometry stays shared
+    this.cloneMaterials(group);
+    HatMaterials.apply(group, template, this.materials);
+
+    if (previous) {
+      // Carry over the tracked transform so a swap doesn't blink
+      group.position.copy(previous.position);
+      group.rotation.copy(previous.rotation);
+      group.scale.copy(previous.scale);
+      group.visible = previous.visible;
+
+      this.scene.remove(previous);
+      this.disposeMaterials(previous);
+      this.animator.destroy();
+    } else {
+      // Hide until face is detected
+      group.visible = false;
+    }
+
+    this.template = template;
+    this.group = group;
+    this.secondaryMotion = new SecondaryMotion(group);
+    this.animator = new HatAnimator(
+      group,
+      group.animations,
+      group.userData.animation
+    );
+    this.scene.add(this.group);
+    this.contactShadow.setBrim(group.userData.brim);
+    this.applyOpacity();
+  }
+
+  /**
+   * Recolour the hat
+   * @param {Object} materials - Customization for HatMaterials.apply
+   */
+  setMaterials(materials) {
+    this.materials = materials;
+    HatMaterials.apply(this.group, this.template, materials);
+  }
+
+  /**
+   * Give every mesh in a cloned hat its own copy of its materials
+   * @param {THREE.Object3D} group - Cloned hat group
+   */
+  cloneMaterials(group) {
+    group.traverse((child) => {
+      if (!child.material) return;
+
+      const clone = (material) => {
+        const copy = material.clone();
+        copy.userData.baseOpacity = material.opacity;
+        copy.userData.baseTransparent = material.transparent;
+        return copy;
+      };
+
+      child.material = Array.isArray(child.material)
+        ? child.material.map(clone)
+        : clone(child.material);
+    });
+  }
+
+  /**
+   * Dispose the materials created by cloneMaterials
+   * @param {THREE.Object3D} group - Cloned hat group
+   */
+  disposeMaterials(group) {
+    group.traverse((child) => {
+      if (!child.material) return;
+      [].concat(child.material).forEach((material) => material.dispose());
+    });
+  }
+
+  /**
+   * Push the current fade level to the hat's materials
+   */
+  applyOpacity() {
+    this.group.visible = this.opacity > 0;
+    this.contactShadow.setOpacity(this.opacity);
+
+    this.group.traverse((child) => {
+      if (!child.material) return;
+      [].concat(child.material).forEach((material) => {
+        const fading = this.opacity < 1;
+        const transparent = fading || material.userData.baseTransparent;
+        if (material.transparent !== transparent) {
+          material.transparent = transparent;
+          material.needsUpdate = true;
+        }
+        material.opacity = material.userData.baseOpacity * this.opacity;
+      });
+    });
+  }
+
+  /**
+   * Move the fade level toward a target at a rate of one full fade per fadeTime
+   * @param {number} target - Target opacity (0-1)
+   * @param {number} timestamp - Current time (ms)
+   * @param {number} fadeTime - Duration of a full fade (ms)
+   */
+  fadeTo(target, timestamp, fadeTime) {
+    const elapsed =
+      this.lastFrame === null ? 0 : Math.max(timestamp - this.lastFrame, 0);
+    this.lastFrame = timestamp;
+
+    const step = fadeTime > 0 ? elapsed / fadeTime : 1;
+    const opacity =
+      target > this.opacity
+        ? Math.min(this.opacity + step, target)
+        : Math.max(this.opacity - step, target);
+
+    if (opacity !== this.opacity) {
+      this.opacity = opacity;
+      this.applyOpacity();
+    }
+  }
+
+  /**
+   * Update hat position based on face data. Called every rendered frame;
+   * filters only advance when the face data holds a new detection, and the
+   * pose is extrapolated from the last two detections in between.
+   * @param {Object} faceData - Face detection data
+   * @param {Object} settings - Renderer settings
+   * @param {Object} projection - Landmark-to-scene mapping from the renderer
+   * @param {number} now - Render time (ms)
+   */
+  update(faceData, settings, projection, now = performance.now()) {
+    const timestamp = faceData.timestamp || now;
+
+    if (!faceData.detected) {
+      this.updateMissing(now, settings);
+      return;
+    }
+
+    if (timestamp !== this.lastSeen || !this.motion) {
+      // Re-acquired after a real loss: start from the new pose, not the stale one
+      if (
+        this.lastSeen !== null &&
+        timestamp - this.lastSeen > settings.holdTime
+      ) {
+        this.reset();
+      }
+      this.lastSeen = timestamp;
+      this.filterDetection(faceData, projection);
+      this.animator.trigger(faceData.events);
+    }
+    this.fadeTo(1, now, settings.fadeTime);
+
+    this.projection = projection;
+    const units = projection.units;
+    const pose = this.extrapolate(now);
+
+    this.smoothedPosition = {
+      x: pose.position.x * units,
+      y: pose.position.y * units,
+      z: pose.position.z * units,
+    };
+
+    // Apply position with offsets
+    this.group.position.set(
+      this.smoothedPosition.x,
+      this.smoothedPosition.y + settings.yOffset * projection.offsetUnits,
+      this.smoothedPosition.z + settings.zOffset * projection.offsetUnits
+    );
+
+    const rotation = pose.rotation;
+    this.group.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+
+    this.group.scale.setScalar(this.smoothedScale * settings.scale);
+
+    // Fit the occluder to the head, not to the user-offset hat
+    this.headProxy.update(
+      faceData,
+      this.smoothedPosition,
+      this.group.quaternion,
+      settings.smoothing,
+      projection.units
+    );
+    this.contactShadow.update(this.group);
+    this.secondaryMotion.update(now);
+  }
+
+  /**
+   * Run a new detection through the pose filters
+   * @param {Object} faceData - Face detection data
+   * @param {Object} projection - Landmark-to-scene mapping from the renderer
+   */
+  filterDetection(faceData, projection) {
+    const timestamp = faceData.timestamp;
+    const units = projection.units;
+
+    // Convert normalized coordinates to scene coordinates
+    // The hat's anchor is calibrated to sit on the estimated top of the head
+    const targetPosition = projection.toScene(faceData.headTop);
+
+    // Filters run in landmark units so their tuning holds in every camera mode
+    const position = this.filter.position.filter(
+      {
+        x: targetPosition.x / units,
+        y: targetPosition.y / units,
+        z: targetPosition.z / units,
+      },
+      timestamp
+    );
+
+    // Fall back to the Euler angles when no full pose was solved
+    const targetRotation = projection.toSceneQuaternion(
+      faceData.pose
+        ? faceData.pose.quaternion
+        : new THREE.Quaternion().setFromEuler(
+            new THREE.Euler(
+              faceData.rotation.pitch,
+              -faceData.rotation.yaw,
+              faceData.rotation.roll
+            )
+          )
+    );
+
+    // Smooth rotation on the sphere, so it never breaks at angle wrap-around
+    const rotation = this.filter.rotation.filter(targetRotation, timestamp);
+
+    // Calibrated hats have a one-unit head opening, so match it to head width,
+    // widened when the hair silhouette is wider than the skull
+    const hairScale = faceData.hair
+      ? Math.min(
+          Math.max(faceData.hair.width / HatInstance.HEAD_WIDTH_RATIO, 1),
+          HatInstance.MAX_HAIR_SCALE
+        )
+      : 1;
+    const headWidth =
+      faceData.faceWidth *
+      projection.units *
+      HatInstance.HEAD_WIDTH_RATIO *
+      hairScale;
+    this.smoothedScale =
+      this.filter.scale.filter(headWidth / units, timestamp) * units;
+
+    const previous = this.motion;
+    const interval = previous ? timestamp - previous.timestamp : 0;
+    const moving = interval > 0 && interval <= HatInstance.MAX_DETECTION_GAP;
+
+    this.motion = {
+      timestamp: timestamp,
+      interval: moving ? interval : 0,
+      position: position,
+      velocity: moving
+        ? {
+            x: (position.x - previous.position.x) / interval,
+            y: (position.y - previous.position.y) / interval,
+            z: (position.z - previous.position.z) / interval,
+          }
+        : { x: 0, y: 0, z: 0 },
+      rotation: rotation,
+      previousRotation: moving ? previous.rotation : rotation,
+    };
+  }
+
+  /**
+   * Predict the filtered pose at a time after the last detection
+   * @param {number} now - Render time (ms)
+   * @returns {Object} {position (landmark units), rotation (unit quaternion)}
+   */
+  extrapolate(now) {
+    const motion = this.motion;
+    const elapsed = Math.min(
+      Math.max(now - motion.timestamp, 0),
+      HatInstance.MAX_EXTRAPOLATION
+    );
+
+    if (elapsed === 0 || motion.interval === 0) {
+      return { position: motion.position, rotation: motion.rotation };
+    }
+
+    return {
+      position: {
+        x: motion.position.x + motion.velocity.x * elapsed,
+        y: motion.position.y + motion.velocity.y * elapsed,
+        z: motion.position.z + motion.velocity.z * elapsed,
+      },
+      // Slerping past t = 1 continues the last rotation step
+      rotation: Smoothing.slerp(
+        motion.previousRotation,
+        motion.rotation,
+        1 + elapsed / motion.interval
+      ),
+    };
+  }
+
+  /**
+   * Drop smoothed state so the next update starts fresh
+   */
+  reset() {
+    this.filter.reset();
+    this.smoothedPosition = null;
+    this.smoothedScale = null;
+    this.motion = null;
+    this.headProxy.reset();
+    this.secondaryMotion.reset();
+  }
+
+  /**
+   * Switch smoothing strategy, or retune the current one
+   * @param {string} strategy - Smoothing.STRATEGIES key
+   * @param {number} strength - Smoothing strength (0-0.9)
+   */
+  setFilter(strategy, strength) {
+    if (strategy === this.filter.strategy) {
+      this.filter.configure(strength);
+      return;
+    }
+
+    this.filter = new Smoothing.PoseFilter(strategy, strength);
+    this.smoothedPosition = null;
+    this.smoothedScale = null;
+    this.motion = null;
+  }
+
+  /**
+   * Handle a frame where this face wasn't detected: hold the last pose for
+   * the grace period, then fade out
+   * @param {number} timestamp - Current time (ms)
+   * @param {Object} settings - Renderer settings
+   */
+  updateMissing(timestamp, settings) {
+    if (this.lastSeen === null) {
+      this.hide();
+      return;
+    }
+
+    const missingFor = timestamp - this.lastSeen;
+    if (missingFor <= settings.holdTime) {
+      // Holding: keep pose and opacity, just keep the fade clock current;
+      // loose parts settle
+      this.lastFrame = timestamp;
+      this.secondaryMotion.update(timestamp);
+      return;
+    }
+
+    this.fadeTo(0, timestamp, settings.fadeTime);
+    if (this.isFadedOut()) {
+      this.headProxy.hide();
+      this.contactShadow.hide();
+    }
+  }
+
+  /**
+   * Outline of the brim as currently posed, in normalized image coordinates
+   * @param {number} segments - Points around the brim
+   * @returns {Object|null} {points, up, opacity}, where up points from the
+   *   brim toward the crown; null when the hat isn't shown
+   */
+  getBrimOutline(segments = 16) {
+    const brim = this.group.userData.brim;
+    if (!brim || !this.projection || this.opacity <= 0) return null;
+
+    this.group.updateMatrixWorld();
+    const toImage = (x, y, z) =>
+      this.projection.toImage(
+        new THREE.Vector3(x, y, z).applyMatrix4(this.group.matrixWorld)
+      );
+
+    const [centerX, centerZ] = brim.center;
+    const [radiusX, radiusZ] = brim.radius;
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      points.push(
+        toImage(
+          centerX + Math.cos(angle) * radiusX,
+          brim.y,
+          centerZ + Math.sin(angle) * radiusZ
+        )
+      );
+    }
+
+    const base = toImage(centerX, brim.y, centerZ);
+    const top = toImage(centerX, brim.y + Math.max(radiusX, radiusZ), centerZ);
+
+    return {
+      points: points,
+      up: { x: top.x - base.x, y: top.y - base.y },
+      opacity: this.opacity,
+    };
+  }
+
+  /**
+   * Check whether the hat has fully faded out
+   * @returns {boolean} True when nothing is drawn
+   */
+  isFadedOut() {
+    return this.opacity <= 0;
+  }
+
+  /**
+   * Hide the hat immediately until the face is seen again
+   */
+  hide() {
+    this.opacity = 0;
+    this.applyOpacity();
+    this.headProxy.hide();
+    this.contactShadow.hide();
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.scene.remove(this.group);
+    this.disposeMaterials(this.group);
+    this.animator.destroy();
+    this.contactShadow.destroy();
+    this.headProxy.destroy();
+    this.group = null;
+    this.template = null;
+  }
+}
+
+// Skull width at the hat band relative to the temple-to-temple distance
+HatInstance.HEAD_WIDTH_RATIO = 1.1;
+
+// Most a hat is widened to fit over hair
+HatInstance.MAX_HAIR_SCALE = 1.35;
+
+// Extrapolate the pose at most this far past the last detection (ms)
+HatInstance.MAX_EXTRAPOLATION = 100;
+
+// Detections further apart than this don't define a velocity (ms)
+HatInstance.MAX_DETECTION_GAP = 250;
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HatInstance;
+}
@@ -0,0 +1,231 @@
+/**
+ * Hat materials
+ * User recolouring of a hat's named materials. A customization maps material
+ * names to {color, roughness, metalness, texture}; anything left out keeps
+ * the model's own value. Customizations are applied to a hat instance's
+ * cloned materials, with the template's materials as the originals.
+ */
+
+const HatMaterials = {
+  /**
+   * Preset surface textures, drawn procedurally. Each is a greyscale detail
+   * map that the material colour tints.
+   */
+  TEXTURES: {
+    felt: { name: "Felt", repeat: 4 },
+    straw: { name: "Straw", repeat: 6 },
+    leather: { name: "Leather", repeat: 3 },
+  },
+
+  // Pixel size of generated textures
+  TEXTURE_SIZE: 128,
+
+  // Generated textures, shared by every material that uses them
+  textures: new Map(),
+
+  /**
+   * Give unnamed materials stable names, so they can be listed and saved
+   * @param {THREE.Object3D} model - Hat model
+   */
+  nameMaterials(model) {
+    let count = 0;
+    this.eachMaterial(model, (material) => {
+      if (!material.name) {
+        count++;
+        material.name = `Material ${count}`;
+      }
+    });
+  },
+
+  /**
+   * Describe the customizable materials of a hat
+   * @param {THREE.Object3D} template - Calibrated hat group
+   * @returns {Array} {name, color, roughness, metalness}; roughness and
+   *   metalness are null for materials without them
+   */
+  list(template) {
+    const found = new Map();
+    this.eachMaterial(template, (material) => {
+      if (found.has(material.name)) return;
+
+      found.set(material.name, {
+        name: material.name,
+        color: material.color ? "#" + material.color.getHexString() : null,
+        roughness: "roughness" in material ? material.roughness : null,
+        metalness: "metalness" in material ? material.metalness : null,
+      });
+    });
+    return Array.from(found.values());
+  },
+
+  /**
+   * Apply a customization to a cloned hat
+   * @param {THREE.Object3D} group - Hat instance group with its own materials
+   * @param {THREE.Object3D} template - Template the group was cloned from
+   * @param {Object} customization - Per-material-name overrides
+   */
+  apply(group, template, customization = {}) {
+    const originals = [];
+    this.eachMaterial(template, (material) => originals.push(material));
+
+    // Clones keep the template's structure, so materials line up by order
+    let index = 0;
+    this.eachMaterial(group, (material) => {
+      const base = originals[index++];
+      if (base) {
+        this.applyToMaterial(material, base, customization[material.name]);
+      }
+    });
+  },
+
+  /**
+   * Set one material from its original plus any overrides
+   * @param {THREE.Material} material - Material to change
+   * @param {THREE.Material} base - Original material
+   * @param {Object} custom - {color, roughness, metalness, texture}
+   */
+  applyToMaterial(material, base, custom = {}) {
+    if (material.color) {
+      material.color.copy(base.color);
+      if (custom.color) {
+        material.color.set(custom.color);
+      }
+    }
+
+    ["roughness", "metalness"].forEach((key) => {
+      if (key in material) {
+        material[key] =
+          typeof custom[key] === "number" ? custom[key] : base[key];
+      }
+    });
+
+    const map = (custom.texture && this.getTexture(custom.texture)) || base.map;
+    if (material.map !== map) {
+      material.map = map;
+      material.needsUpdate = true;
+    }
+  },
+
+  /**
+   * Get a preset texture, generating it on first use
+   * @param {string} name - TEXTURES key
+   * @returns {THREE.Texture|null} Texture, or null for unknown names
+   */
+  getTexture(name) {
+    const preset = this.TEXTURES[name];
+    if (!preset) return null;
+
+    if (!this.textures.has(name)) {
+      const texture = new THREE.CanvasTexture(this.drawTexture(name));
+      texture.wrapS = THREE.RepeatWrapping;
+      texture.wrapT = THREE.RepeatWrapping;
+      texture.repeat.set(preset.repeat, preset.repeat);
+      texture.colorSpace = THREE.SRGBColorSpace;
+      this.textures.set(name, texture);
+    }
+    return this.textures.get(name);
+  },
+
+  /**
+   * Draw a preset texture
+   * @param {string} name - TEXTURES key
+   * @returns {HTMLCanvasElement} Greyscale canvas
+   */
+  drawTexture(name) {
+    const size = this.TEXTURE_SIZE;
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext("2d");
+    // Seeded, so a texture looks the same every time it is generated
+    const random = this.random(name.length * 7919);
+    const grey = (value, alpha = 1) =>
+      `rgba(${value}, ${value}, ${value}, ${alpha})`;
+
+    if (name === "felt") {
+      // Dense short fibres in every direction
+      ctx.fillStyle = grey(215);
+      ctx.fillRect(0, 0, size, size);
+      for (let i = 0; i < 2500; i++) {
+        const x = random() * size;
+        const y = random() * size;
+        const angle = random() * Math.PI * 2;
+        const length = 2 + random() * 4;
+        ctx.strokeStyle = grey(random() < 0.5 ? 170 : 250, 0.35);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+        ctx.stroke();
+      }
+    } else if (name === "straw") {
+      // Over-under weave of shaded strips
+      const strip = size / 8;
+      for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+          const across = (row + col) % 2 === 0;
+          const gradient = across
+            ? ctx.createLinearGradient(0, row * strip, 0, (row + 1) * strip)
+            : ctx.createLinearGradient(col * strip, 0, (col + 1) * strip, 0);
+          gradient.addColorStop(0, grey(150));
+          gradient.addColorStop(0.5, grey(245));
+          gradient.addColorStop(1, grey(150));
+          ctx.fillStyle = gradient;
+          ctx.fillRect(col * strip, row * strip, strip, strip);
+        }
+      }
+      for (let i = 0; i < 400; i++) {
+        ctx.fillStyle = grey(120, 0.3);
+        ctx.fillRect(random() * size, random() * size, 1, 3);
+      }
+    } else {
+      // Pebbled grain
+      ctx.fillStyle = grey(200);
+      ctx.fillRect(0, 0, size, size);
+      for (let i = 0; i < 900; i++) {
+        const x = random() * size;
+        const y = random() * size;
+        const radius = 1 + random() * 3;
+        ctx.fillStyle = grey(random() < 0.5 ? 160 : 235, 0.4);
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    return canvas;
+  },
+
+  /**
+   * Small seeded random number generator (mulberry32)
+   * @param {number} seed - Seed
+   * @returns {Function} Returns a number in [0, 1) per call
+   */
+  random(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  /**
+   * Visit every material of an object tree, in a stable order
+   * @param {THREE.Object3D} root - Object tree
+   * @param {Function} callback - Called with each material
+   */
+  eachMaterial(root, callback) {
+    root.traverse((child) => {
+      if (child.material) {
+        [].concat(child.material).forEach(callback);
+      }
+    });
+  },
+};
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HatMaterials;
+}
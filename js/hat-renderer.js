@@ -4,19 +4,31 @@
  */
 
 class HatRenderer {
-  constructor(canvas, video) {
+  constructor(canvas, source) {
     this.canvas = canvas;
-    this.video = video;
+    this.source = source;
     this.scene = null;
     this.camera = null;
+    this.orthoCamera = null;
+    this.perspectiveCamera = null;
     this.renderer = null;
-    this.hat = null;
     this.hatLoaded = false;
 
-    // Smoothed values for jitter reduction
-    this.smoothedPosition = null;
-    this.smoothedRotation = null;
-    this.smoothedScale = 1;
+    // Calibrated hat models keyed by slot: DEFAULT_SLOT or a face id
+    this.templates = new Map();
+
+    // Material customizations of face-specific hats, keyed by face id; the
+    // default hat's are settings.materials
+    this.faceMaterials = new Map();
+
+    // One hat per tracked face, keyed by face id
+    this.instances = new Map();
+
+    // Faces the tracker dropped whose hats are still fading out
+    this.pendingReleases = new Set();
+
+    // Incremented per slot on every model swap so stale loads can be discarded
+    this.loadGenerations = new Map();
 
     // User adjustments
     this.settings = {
@@ -24,8 +36,37 @@ class HatRenderer {
       yOffset: 0,
       zOffset: 0,
       smoothing: 0.5,
+      // Smoothing.STRATEGIES key
+      filter: "oneEuro",
+      // Tracking loss: hold the last pose this long, then fade out (ms)
+      holdTime: 300,
+      fadeTime: 400,
+      occlusion: true,
+      // Soft brim shadow on the forehead
+      contactShadow: true,
+      // "orthographic" overlay or "perspective" with metric depth
+      cameraMode: "orthographic",
+      // Horizontal field of view in degrees; null estimates it
+      fov: null,
+      // Per-material-name colour, roughness, metalness and texture overrides
+      materials: {},
     };
 
+    // Render quality, adjusted by the performance governor
+    this.pixelRatio = Math.min(window.devicePixelRatio, 2);
+    this.antialias = true;
+    this.viewSize = null;
+
+    // Ambient, key and rim lights, created in init()
+    this.lights = null;
+
+    // Shader uniforms shared by every hat's contact shadow
+    this.shadowLight = null;
+
+    // Prefiltered environment map built from the camera frame
+    this.pmremGenerator = null;
+    this.environmentTarget = null;
+
     // Video texture for background (not used - video element shown directly)
     this.videoTexture = null;
     this.backgroundMesh = null;
@@ -41,7 +82,7 @@ class HatRenderer {
     // Create orthographic camera for 2D overlay effect
     const aspect = this.canvas.width / this.canvas.height || 16 / 9;
     const frustumSize = 2;
-    this.camera = new THREE.OrthographicCamera(
+    this.orthoCamera = new THREE.OrthographicCamera(
       (-frustumSize * aspect) / 2,
       (frustumSize * aspect) / 2,
       frustumSize / 2,
@@ -49,31 +90,175 @@ class HatRenderer {
       0.1,
       1000
     );
-    this.camera.position.z = 5;
+    this.orthoCamera.position.z = 5;
+
+    // Perspective camera at the real camera's position, in centimetres
+    this.perspectiveCamera = new THREE.PerspectiveCamera(45, aspect, 1, 1000);
+    this.updatePerspectiveCamera();
+
+    this.camera =
+      this.settings.cameraMode === "perspective"
+        ? this.perspectiveCamera
+        : this.orthoCamera;
+
+    this.createRenderer();
+
+    // Add lighting
+    this.lights = {
+      ambient: new THREE.AmbientLight(),
+      key: new THREE.DirectionalLight(),
+      // Subtle rim light for depth
+      rim: new THREE.DirectionalLight(),
+    };
+    Object.values(this.lights).forEach((light) => this.scene.add(light));
+
+    this.shadowLight = {
+      direction: { value: new THREE.Vector3() },
+      strength: { value: 1 },
+      softness: { value: 0 },
+    };
+    this.resetLighting();
+
+    return this;
+  }
+
+  /**
+   * Restore the fixed studio lighting and drop any environment map
+   */
+  resetLighting() {
+    Object.entries(HatRenderer.DEFAULT_LIGHTS).forEach(([name, preset]) => {
+      const light = this.lights[name];
+      light.color.set(preset.color);
+      light.intensity = preset.intensity;
+      if (preset.position) {
+        light.position.set(...preset.position);
+      }
+    });
+
+    this.shadowLight.direction.value.copy(this.lights.key.position).normalize();
+    this.shadowLight.strength.value = 1;
+    this.shadowLight.softness.value = HatRenderer.SHADOW_SOFTNESS.hard;
+
+    this.setEnvironment(null);
+  }
+
+  /**
+   * Drive the lights from a LightEstimator estimate
+   * @param {Object} estimate - {color, brightness, direction, contrast}
+   */
+  applyLighting(estimate) {
+    const defaults = HatRenderer.DEFAULT_LIGHTS;
+    const { ambient, key, rim } = this.lights;
+    const { color, direction, contrast } = estimate;
+
+    // Relative to a typically lit room, within limits so hats never vanish
+    const exposure = Math.min(
+      Math.max(estimate.brightness / HatRenderer.REFERENCE_BRIGHTNESS, 0.35),
+      1.5
+    );
+
+    // Strong face shading means a hard key light and little fill
+    ambient.color.setRGB(color.r, color.g, color.b);
+    ambient.intensity =
+      defaults.ambient.intensity * exposure * (1 - 0.5 * contrast);
+
+    key.color.setRGB(color.r, color.g, color.b);
+    key.intensity = defaults.key.intensity * exposure * (1 + contrast);
+    key.position.set(direction.x, direction.y, direction.z).multiplyScalar(2);
+
+    // The cyan accent isn't in the room
+    rim.intensity = 0;
+
+    // Dim rooms cast faint shadows, and diffuse light blurs them
+    const softness = HatRenderer.SHADOW_SOFTNESS;
+    this.shadowLight.direction.value.copy(key.position).normalize();
+    this.shadowLight.strength.value =
+      Math.min(exposure, 1) * (0.5 + 0.5 * contrast);
+    this.shadowLight.softness.value =
+      softness.hard + (softness.diffuse - softness.hard) * (1 - contrast);
+  }
+
+  /**
+   * Use an image of the surroundings as the environment map, so PBR
+   * materials pick up reflections and ambient colour from the room
+   * @param {HTMLCanvasElement|null} image - Frame image, or null to remove
+   */
+  setEnvironment(image) {
+    if (this.environmentTarget) {
+      this.environmentTarget.dispose();
+      this.environmentTarget = null;
+    }
+
+    if (!image) {
+      this.scene.environment = null;
+      return;
+    }
+
+    if (!this.pmremGenerator) {
+      this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+    }
+
+    const texture = new THREE.CanvasTexture(image);
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    this.environmentTarget = this.pmremGenerator.fromEquirectangular(texture);
+    this.scene.environment = this.environmentTarget.texture;
+    texture.dispose();
+  }
+
+  /**
+   * Create the WebGL renderer with a transparent background. Antialiasing is
+   * fixed when a WebGL context is created, so an existing renderer's canvas
+   * is swapped for a fresh one.
+   */
+  createRenderer() {
+    if (this.renderer) {
+      const canvas = this.canvas.cloneNode(false);
+      this.canvas.replaceWith(canvas);
+      this.renderer.dispose();
+      this.renderer.forceContextLoss();
+      this.canvas = canvas;
+
+      // The environment map lived in the old context; it is rebuilt on the
+      // next setEnvironment()
+      if (this.pmremGenerator) {
+        this.pmremGenerator.dispose();
+        this.pmremGenerator = null;
+      }
+      this.setEnvironment(null);
+    }
 
-    // Create renderer with transparent background
     this.renderer = new THREE.WebGLRenderer({
       canvas: this.canvas,
       alpha: true,
-      antialias: true,
+      antialias: this.antialias,
     });
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    this.renderer.setPixelRatio(this.pixelRatio);
     this.renderer.setClearColor(0x000000, 0);
 
-    // Add lighting
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
-    this.scene.add(ambientLight);
-
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(0, 1, 2);
-    this.scene.add(directionalLight);
+    if (this.viewSize) {
+      this.renderer.setSize(this.viewSize.width, this.viewSize.height);
+    }
+  }
 
-    // Add subtle rim light for depth
-    const rimLight = new THREE.DirectionalLight(0x00ffd5, 0.3);
-    rimLight.position.set(-1, 0, -1);
-    this.scene.add(rimLight);
+  /**
+   * Change render quality
+   * @param {Object} quality - {pixelRatio, antialias}
+   */
+  setQuality(quality) {
+    if (quality.pixelRatio && quality.pixelRatio !== this.pixelRatio) {
+      this.pixelRatio = quality.pixelRatio;
+      this.renderer.setPixelRatio(this.pixelRatio);
+    }
 
-    return this;
+    if (
+      quality.antialias !== undefined &&
+      quality.antialias !== this.antialias
+    ) {
+      this.antialias = quality.antialias;
+      this.createRenderer();
+    }
   }
 
   /**
@@ -84,25 +269,140 @@ class HatRenderer {
   resize(width, height) {
     this.canvas.width = width;
     this.canvas.height = height;
+    this.viewSize = { width: width, height: height };
 
     const aspect = width / height;
     const frustumSize = 2;
 
-    this.camera.left = (-frustumSize * aspect) / 2;
-    this.camera.right = (frustumSize * aspect) / 2;
-    this.camera.top = frustumSize / 2;
-    this.camera.bottom = -frustumSize / 2;
-    this.camera.updateProjectionMatrix();
+    this.orthoCamera.left = (-frustumSize * aspect) / 2;
+    this.orthoCamera.right = (frustumSize * aspect) / 2;
+    this.orthoCamera.top = frustumSize / 2;
+    this.orthoCamera.bottom = -frustumSize / 2;
+    this.orthoCamera.updateProjectionMatrix();
+
+    this.updatePerspectiveCamera();
 
     this.renderer.setSize(width, height);
   }
 
+  /**
+   * Estimate pinhole intrinsics for the video
+   * @returns {Object} {width, height, fx, fy, cx, cy} in video pixels
+   */
+  getIntrinsics() {
+    const width = this.source.width || 1280;
+    const height = this.source.height || 720;
+    const fov = this.settings.fov || HatRenderer.DEFAULT_FOV;
+
+    // Square pixels, principal point at the image centre
+    const focal = width / 2 / Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+
+    return {
+      width: width,
+      height: height,
+      fx: focal,
+      fy: focal,
+      cx: width / 2,
+      cy: height / 2,
+    };
+  }
+
+  /**
+   * Match the perspective camera to the on-screen part of the video.
+   * The video uses object-fit: cover, so only a centred crop is visible.
+   */
+  updatePerspectiveCamera() {
+    const { width, height, fy } = this.getIntrinsics();
+    const viewWidth = this.canvas.width || width;
+    const viewHeight = this.canvas.height || height;
+
+    const coverScale = Math.max(viewWidth / width, viewHeight / height);
+    const visibleHeight = viewHeight / coverScale;
+
+    this.perspectiveCamera.aspect = viewWidth / viewHeight;
+    this.perspectiveCamera.fov = THREE.MathUtils.radToDeg(
+      2 * Math.atan(visibleHeight / 2 / fy)
+    );
+    this.perspectiveCamera.updateProjectionMatrix();
+  }
+
+  /**
+   * Build the mapping from normalized landmarks to scene space for one face
+   * @param {Object} faceData - Face detection data
+   * @returns {Object} {toScene(point), toImage(point), toSceneQuaternion(q),
+   *   units, offsetUnits}
+   */
+  getProjection(faceData) {
+    const pose = faceData.pose;
+
+    // Image X runs against scene X in the mirrored selfie view
+    const mirror = this.source.mirrored ? -1 : 1;
+
+    // Solved rotations map one-to-one onto the mirrored scene; without the
+    // mirror, reflecting X negates the Y and Z rotation components
+    const toSceneQuaternion = (q) =>
+      this.source.mirrored ? q : { x: q.x, y: -q.y, z: -q.z, w: q.w };
+
+    if (this.settings.cameraMode !== "perspective" || !pose) {
+      return {
+        // Normalized coordinates span two scene units
+        toScene: (p) => ({
+          x: mirror * (p.x - 0.5) * 2,
+          y: -(p.y - 0.5) * 2,
+          z: p.z * 2,
+        }),
+        toImage: (p) => ({
+          x: 0.5 + (mirror * p.x) / 2,
+          y: 0.5 - p.y / 2,
+        }),
+        toSceneQuaternion: toSceneQuaternion,
+        units: 2,
+        offsetUnits: 1 / 100,
+      };
+    }
+
+    const { width, height, fx, fy, cx, cy } = this.getIntrinsics();
+    // The face model is metric, so the solved scale is pixels per centimetre
+    // and the face sits at focal / scale centimetres from the camera
+    const depth = fx / pose.scale;
+
+    return {
+      toScene: (p) => {
+        const z =
+          depth + ((p.z || 0) * width - pose.translation.z) / pose.scale;
+        // Camera looks down -Z; Y flips for screen axes
+        return {
+          x: (mirror * (p.x * width - cx) * z) / fx,
+          y: (-(p.y * height - cy) * z) / fy,
+          z: -z,
+        };
+      },
+      toImage: (p) => {
+        const z = -p.z;
+        return {
+          x: ((mirror * p.x * fx) / z + cx) / width,
+          y: ((-p.y * fy) / z + cy) / height,
+        };
+      },
+      toSceneQuaternion: toSceneQuaternion,
+      units: width / pose.scale,
+      offsetUnits: HatRenderer.PERSPECTIVE_OFFSET_CM / 100,
+    };
+  }
+
   /**
    * Load a hat model from GLB/GLTF file
    * @param {string} url - URL to the model file
+   * @param {Object} fit - Optional sidecar fit metadata (overrides glTF extras)
+   * @param {number} faceId - Face to assign the hat to; all faces if omitted
+   * @param {Object} animations - Optional animation config (overrides glTF
+   *   extras), see HatAnimator
    * @returns {Promise<boolean>} Success status
    */
-  async loadHat(url) {
+  async loadHat(url, fit = null, faceId = null, animations = null) {
+    const slot = faceId === null ? HatRenderer.DEFAULT_SLOT : faceId;
+    const generation = this.nextGeneration(slot);
+
     return new Promise((resolve, reject) => {
       console.log("HatRenderer: Starting to load model from:", url);
 
@@ -113,37 +413,35 @@ class HatRenderer {
         (gltf) => {
           console.log("HatRenderer: GLTF loaded successfully", gltf);
 
-          // Remove old hat if exists
-          if (this.hat) {
-            this.scene.remove(this.hat);
+          // A newer model was requested while this one was loading
+          if (generation !== this.loadGenerations.get(slot)) {
+            console.log("HatRenderer: Discarding superseded model:", url);
+            this.disposeObject(gltf.scene);
+            resolve(false);
+            return;
           }
 
-          this.hat = gltf.scene;
-          console.log("HatRenderer: Hat scene:", this.hat);
-          console.log("HatRenderer: Hat children:", this.hat.children);
-
-          // Center the hat model
-          const box = new THREE.Box3().setFromObject(this.hat);
-          const center = box.getCenter(new THREE.Vector3());
-          const size = box.getSize(new THREE.Vector3());
-          console.log("HatRenderer: Hat bounding box center:", center);
-          console.log("HatRenderer: Hat bounding box size:", size);
-
-          this.hat.position.sub(center);
+          const model = gltf.scene;
+          console.log("HatRenderer: Hat scene:", model);
+          console.log("HatRenderer: Hat children:", model.children);
 
-          // Create a group to handle positioning
-          const hatGroup = new THREE.Group();
-          hatGroup.add(this.hat);
-          this.hat = hatGroup;
+          // Fit metadata can be embedded as glTF extras on the asset or scene
+          const extrasFit =
+            (gltf.userData && gltf.userData.hatFit) || model.userData.hatFit;
 
-          // Initial scale
-          this.hat.scale.set(0.3, 0.3, 0.3);
+          const hatGroup = this.calibrateModel(model, extrasFit, fit);
+          console.log("HatRenderer: Hat fit:", hatGroup.userData.fit);
 
-          // Hide until face is detected
-          this.hat.visible = false;
+          // Clips travel with the group through clones; their config is
+          // embedded like the fit
+          hatGroup.animations = gltf.animations || [];
+          hatGroup.userData.animation = HatAnimator.resolveConfig(
+            (gltf.userData && gltf.userData.hatAnimations) ||
+              model.userData.hatAnimations,
+            animations
+          );
 
-          this.scene.add(this.hat);
-          this.hatLoaded = true;
+          this.setTemplate(slot, hatGroup);
 
           console.log("HatRenderer: Hat model added to scene successfully");
           resolve(true);
@@ -157,6 +455,10 @@ class HatRenderer {
         },
         (error) => {
           console.error("HatRenderer: Error loading hat model:", error);
+          if (generation !== this.loadGenerations.get(slot)) {
+            resolve(false);
+            return;
+          }
           reject(error);
         }
       );
@@ -165,116 +467,330 @@ class HatRenderer {
 
   /**
    * Create a fallback hat geometry if no model is available
+   * @param {number} faceId - Face to assign the hat to; all faces if omitted
    */
-  createFallbackHat() {
-    if (this.hat) {
-      this.scene.remove(this.hat);
-    }
+  createFallbackHat(faceId = null) {
+    const slot = faceId === null ? HatRenderer.DEFAULT_SLOT : faceId;
+    this.nextGeneration(slot);
 
-    const hatGroup = new THREE.Group();
+    const model = new THREE.Group();
 
-    // Create a simple top hat using cylinders
+    // Create a simple top hat using cylinders. Standard materials, named so
+    // they can be recoloured
     // Brim
     const brimGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.05, 32);
-    const hatMaterial = new THREE.MeshPhongMaterial({
+    const brimMaterial = new THREE.MeshStandardMaterial({
+      name: "brim",
       color: 0x1a1a2e,
-      shininess: 80,
+      roughness: 0.45,
+      metalness: 0,
     });
-    const brim = new THREE.Mesh(brimGeometry, hatMaterial);
+    const brim = new THREE.Mesh(brimGeometry, brimMaterial);
     brim.position.y = 0;
-    hatGroup.add(brim);
+    model.add(brim);
 
     // Crown
     const crownGeometry = new THREE.CylinderGeometry(0.3, 0.35, 0.5, 32);
-    const crown = new THREE.Mesh(crownGeometry, hatMaterial);
+    const crownMaterial = brimMaterial.clone();
+    crownMaterial.name = "body";
+    const crown = new THREE.Mesh(crownGeometry, crownMaterial);
     crown.position.y = 0.275;
-    hatGroup.add(crown);
+    model.add(crown);
 
     // Ribbon
     const ribbonGeometry = new THREE.CylinderGeometry(0.352, 0.352, 0.08, 32);
-    const ribbonMaterial = new THREE.MeshPhongMaterial({
+    const ribbonMaterial = new THREE.MeshStandardMaterial({
+      name: "band",
       color: 0x00ffd5,
-      shininess: 100,
+      roughness: 0.35,
+      metalness: 0,
     });
     const ribbon = new THREE.Mesh(ribbonGeometry, ribbonMaterial);
     ribbon.position.y = 0.08;
-    hatGroup.add(ribbon);
+    model.add(ribbon);
+
+    // Head opening is the crown base; the skull top sits 0.255 above the brim
+    const hatGroup = this.calibrateModel(model, {
+      anchor: [0, 0.255, 0],
+      up: "+y",
+      forward: "+z",
+      headOpening: 0.7,
+    });
 
-    this.hat = hatGroup;
-    this.hat.visible = false;
-    this.scene.add(this.hat);
-    this.hatLoaded = true;
+    this.setTemplate(slot, hatGroup);
 
     console.log("Fallback hat created");
   }
 
   /**
-   * Update hat position based on face data
-   * @param {Object} faceData - Face detection data
+   * Wrap a model so its anchor sits at the origin, its crown points up (+Y),
+   * its front faces the camera (+Z) and its head opening is one unit wide
+   * @param {THREE.Object3D} model - Raw hat model
+   * @param {...Object} fitSources - Partial fit metadata, later sources win
+   * @returns {THREE.Group} Hat group ready for tracking
    */
-  updateHatPosition(faceData) {
-    if (!this.hat || !this.hatLoaded) return;
+  calibrateModel(model, ...fitSources) {
+    HatMaterials.nameMaterials(model);
 
-    if (!faceData.detected) {
-      this.hat.visible = false;
-      return;
-    }
+    const box = new THREE.Box3().setFromObject(model);
+    const fit = HatFit.resolve(HatFit.fromBounds(box), ...fitSources);
 
-    this.hat.visible = true;
+    model.position.sub(new THREE.Vector3(...fit.anchor));
 
-    const smoothing = this.settings.smoothing;
+    const up = new THREE.Vector3(...fit.up);
+    const forward = new THREE.Vector3(...fit.forward);
+    const right = new THREE.Vector3().crossVectors(up, forward);
+    const basis = new THREE.Matrix4().makeBasis(right, up, forward);
 
-    // Convert normalized coordinates to scene coordinates
-    // MediaPipe gives 0-1 coordinates, we need to map to our orthographic camera space
-    const sceneX = -(faceData.forehead.x - 0.5) * 2; // Flip X for mirror effect
-    const sceneY = -(faceData.forehead.y - 0.5) * 2; // Flip Y
+    // Inverse of the model basis maps its up/forward onto scene +Y/+Z
+    const pivot = new THREE.Group();
+    pivot.quaternion.setFromRotationMatrix(basis).invert();
+    pivot.scale.setScalar(1 / fit.headOpening);
+    pivot.add(model);
 
-    // Calculate position with offsets
-    const targetPosition = {
-      x: sceneX,
-      y: sceneY + this.settings.yOffset / 100,
-      z: faceData.forehead.z * 2 + this.settings.zOffset / 100,
-    };
+    const hatGroup = new THREE.Group();
+    hatGroup.add(pivot);
+    hatGroup.userData.fit = fit;
+    hatGroup.userData.brim = ContactShadow.measureBrim(hatGroup);
 
-    // Smooth position
-    this.smoothedPosition = Utils.smooth3D(
-      targetPosition,
-      this.smoothedPosition,
-      smoothing
-    );
+    return hatGroup;
+  }
 
-    // Apply position
-    this.hat.position.set(
-      this.smoothedPosition.x,
-      this.smoothedPosition.y,
-      this.smoothedPosition.z
-    );
+  /**
+   * Describe the materials of a slot's hat, for the customization panel
+   * @param {string|number} slot - DEFAULT_SLOT or a face id
+   * @returns {Array} Material descriptions from HatMaterials.list
+   */
+  getMaterials(slot = HatRenderer.DEFAULT_SLOT) {
+    const template = this.templates.get(slot);
+    return template ? HatMaterials.list(template) : [];
+  }
 
-    // Calculate rotation
-    const targetRotation = {
-      x: faceData.rotation.pitch * 0.5, // Reduce sensitivity
-      y: -faceData.rotation.yaw * 0.8,
-      z: faceData.rotation.roll,
-    };
+  /**
+   * Brim outlines of every visible hat in image space
+   * @returns {Array} Outlines from HatInstance.getBrimOutline
+   */
+  getBrimOutlines() {
+    const outlines = [];
+    this.instances.forEach((instance) => {
+      const outline = instance.getBrimOutline();
+      if (outline) {
+        outlines.push(outline);
+      }
+    });
+    return outlines;
+  }
 
-    // Smooth rotation
-    this.smoothedRotation = Utils.smooth3D(
-      targetRotation,
-      this.smoothedRotation,
-      smoothing
-    );
+  /**
+   * Start a new load for a slot, invalidating any load still in flight
+   * @param {string|number} slot - DEFAULT_SLOT or a face id
+   * @returns {number} Generation of the new load
+   */
+  nextGeneration(slot) {
+    const generation = (this.loadGenerations.get(slot) || 0) + 1;
+    this.loadGenerations.set(slot, generation);
+    return generation;
+  }
 
-    // Apply rotation
-    this.hat.rotation.set(
-      this.smoothedRotation.x,
-      this.smoothedRotation.y,
-      this.smoothedRotation.z
+  /**
+   * Install a calibrated hat for a slot and swap it onto affected faces
+   * @param {string|number} slot - DEFAULT_SLOT or a face id
+   * @param {THREE.Group} template - Calibrated hat group
+   */
+  setTemplate(slot, template) {
+    const previous = this.templates.get(slot);
+    this.templates.set(slot, template);
+    // The previous hat's customization doesn't carry over to a new one
+    this.faceMaterials.delete(slot);
+
+    this.instances.forEach((instance, faceId) => {
+      instance.setTemplate(
+        this.getTemplate(faceId),
+        this.getMaterialsFor(faceId)
+      );
+    });
+
+    if (previous) {
+      this.disposeObject(previous);
+    }
+
+    this.hatLoaded = this.templates.has(HatRenderer.DEFAULT_SLOT);
+  }
+
+  /**
+   * Get the hat a face should wear
+   * @param {number} faceId - Face id
+   * @returns {THREE.Group|null} Face-specific hat, else the default hat
+   */
+  getTemplate(faceId) {
+    return (
+      this.templates.get(faceId) ||
+      this.templates.get(HatRenderer.DEFAULT_SLOT) ||
+      null
     );
+  }
+
+  /**
+   * Get the material customization for the hat a face wears
+   * @param {number} faceId - Face id
+   * @returns {Object} Customization for HatMaterials.apply
+   */
+  getMaterialsFor(faceId) {
+    if (this.templates.has(faceId)) {
+      return this.faceMaterials.get(faceId) || {};
+    }
+    return this.settings.materials;
+  }
+
+  /**
+   * Recolour a face's own hat; the default hat follows settings.materials
+   * @param {number} faceId - Face id
+   * @param {Object} materials - Customization for HatMaterials.apply
+   */
+  setFaceMaterials(faceId, materials) {
+    this.faceMaterials.set(faceId, materials);
+
+    const instance = this.instances.get(faceId);
+    if (instance && this.templates.has(faceId)) {
+      instance.setMaterials(materials);
+    }
+  }
+
+  /**
+   * Drop a face's own hat so it goes back to wearing the default one
+   * @param {number} faceId - Face id
+   */
+  clearFaceHat(faceId) {
+    this.faceMaterials.delete(faceId);
+    const template = this.templates.get(faceId);
+    if (!template) return;
+
+    this.nextGeneration(faceId);
+    this.templates.delete(faceId);
+
+    const instance = this.instances.get(faceId);
+    if (instance) {
+      instance.setTemplate(
+        this.getTemplate(faceId),
+        this.getMaterialsFor(faceId)
+      );
+    }
+
+    this.disposeObject(template);
+  }
+
+  /**
+   * Forget a face that is no longer tracked
+   * @param {number} faceId - Face id
+   */
+  releaseFace(faceId) {
+    this.pendingReleases.delete(faceId);
+
+    const instance = this.instances.get(faceId);
+    if (instance) {
+      instance.destroy();
+      this.instances.delete(faceId);
+    }
+
+    this.clearFaceHat(faceId);
+    this.loadGenerations.delete(faceId);
+  }
+
+  /**
+   * Get the ids of faces that currently have a hat
+   * @returns {Array<number>} Face ids
+   */
+  getFaceIds() {
+    return Array.from(this.instances.keys());
+  }
 
-    // Calculate and apply scale based on face width
-    const baseScale = faceData.faceWidth * 3 * this.settings.scale;
-    this.smoothedScale = Utils.smooth(baseScale, this.smoothedScale, smoothing);
-    this.hat.scale.setScalar(this.smoothedScale);
+  /**
+   * Release GPU resources held by an object tree
+   * @param {THREE.Object3D} object - Object to dispose
+   */
+  disposeObject(object) {
+    object.traverse((child) => {
+      if (child.geometry) {
+        child.geometry.dispose();
+      }
+
+      const materials = Array.isArray(child.material)
+        ? child.material
+        : child.material
+        ? [child.material]
+        : [];
+
+      materials.forEach((material) => {
+        Object.values(material).forEach((value) => {
+          if (value && value.isTexture) {
+            value.dispose();
+          }
+        });
+        material.dispose();
+      });
+    });
+  }
+
+  /**
+   * Update hat positions based on face data. Called every rendered frame;
+   * between detections the hats extrapolate from the latest face data.
+   * @param {Object} faceData - Latest face detection data, one entry per face
+   * @param {number} now - Render time (ms)
+   */
+  updateHatPosition(faceData, now = performance.now()) {
+    if (!this.hatLoaded) return;
+
+    // Single-face results without a faces list count as face 0
+    const faces =
+      faceData.faces || (faceData.detected ? [{ ...faceData, id: 0 }] : []);
+
+    const seen = new Set();
+    faces.forEach((face) => {
+      seen.add(face.id);
+      this.pendingReleases.delete(face.id);
+
+      let instance = this.instances.get(face.id);
+      if (!instance) {
+        instance = new HatInstance(
+          this.scene,
+          face.id,
+          this.getTemplate(face.id),
+          this.getMaterialsFor(face.id),
+          this.settings,
+          this.shadowLight
+        );
+        this.instances.set(face.id, instance);
+      }
+
+      instance.update(face, this.settings, this.getProjection(face), now);
+    });
+
+    // Dropped faces are released once their hat has faded out
+    (faceData.lost || []).forEach((faceId) => {
+      if (this.instances.has(faceId)) {
+        this.pendingReleases.add(faceId);
+      } else {
+        this.releaseFace(faceId);
+      }
+    });
+
+    // Faces missing this frame hold, then fade
+    this.instances.forEach((instance, faceId) => {
+      if (seen.has(faceId)) return;
+
+      instance.updateMissing(now, this.settings);
+      if (this.pendingReleases.has(faceId) && instance.isFadedOut()) {
+        this.releaseFace(faceId);
+      }
+    });
+  }
+
+  /**
+   * Advance every hat's animation clips
+   * @param {number} now - Render time (ms)
+   */
+  updateAnimations(now = performance.now()) {
+    this.instances.forEach((instance) => instance.animator.update(now));
   }
 
   /**
@@ -283,6 +799,44 @@ class HatRenderer {
    */
   updateSettings(newSettings) {
     Object.assign(this.settings, newSettings);
+
+    if ("cameraMode" in newSettings || "fov" in newSettings) {
+      this.updatePerspectiveCamera();
+      this.camera =
+        this.settings.cameraMode === "perspective"
+          ? this.perspectiveCamera
+          : this.orthoCamera;
+
+      // Smoothed state is in the old camera's units
+      this.instances.forEach((instance) => instance.reset());
+    }
+
+    if ("filter" in newSettings || "smoothing" in newSettings) {
+      this.instances.forEach((instance) => {
+        instance.setFilter(this.settings.filter, this.settings.smoothing);
+      });
+    }
+
+    if ("occlusion" in newSettings) {
+      this.instances.forEach((instance) => {
+        instance.headProxy.setEnabled(this.settings.occlusion);
+      });
+    }
+
+    if ("contactShadow" in newSettings) {
+      this.instances.forEach((instance) => {
+        instance.contactShadow.setEnabled(this.settings.contactShadow);
+      });
+    }
+
+    // Material names only mean something on the hat they were picked on
+    if ("materials" in newSettings) {
+      this.instances.forEach((instance, faceId) => {
+        if (!this.templates.has(faceId)) {
+          instance.setMaterials(this.settings.materials);
+        }
+      });
+    }
   }
 
   /**
@@ -294,13 +848,51 @@ class HatRenderer {
     }
   }
 
+  /**
+   * Render one frame at a specific pixel size, e.g. for photo capture.
+   * The canvas is restored to its on-screen size afterwards.
+   * @param {number} width - Drawing buffer width in pixels
+   * @param {number} height - Drawing buffer height in pixels
+   * @param {Function} callback - Receives the canvas while it holds the frame
+   */
+  renderSnapshot(width, height, callback) {
+    if (!this.renderer) return;
+
+    const size = this.renderer.getSize(new THREE.Vector2());
+    const pixelRatio = this.renderer.getPixelRatio();
+
+    this.renderer.setPixelRatio(1);
+    this.renderer.setSize(width, height, false);
+    this.render();
+
+    // The drawing buffer is only guaranteed until control returns to the browser
+    callback(this.renderer.domElement);
+
+    this.renderer.setPixelRatio(pixelRatio);
+    this.renderer.setSize(size.x, size.y, false);
+    this.render();
+  }
+
   /**
    * Clean up resources
    */
   destroy() {
-    if (this.hat) {
-      this.scene.remove(this.hat);
-      this.hat = null;
+    this.instances.forEach((instance) => instance.destroy());
+    this.instances.clear();
+    this.pendingReleases.clear();
+
+    this.templates.forEach((template) => this.disposeObject(template));
+    this.templates.clear();
+    this.faceMaterials.clear();
+    this.hatLoaded = false;
+
+    if (this.environmentTarget) {
+      this.environmentTarget.dispose();
+      this.environmentTarget = null;
+    }
+    if (this.pmremGenerator) {
+      this.pmremGenerator.dispose();
+      this.pmremGenerator = null;
     }
 
     if (this.renderer) {
@@ -308,11 +900,36 @@ class HatRenderer {
     }
 
     this.scene = null;
+    this.lights = null;
     this.camera = null;
+    this.orthoCamera = null;
+    this.perspectiveCamera = null;
     this.renderer = null;
   }
 }
 
+// Template slot for the hat worn by faces without their own assignment
+HatRenderer.DEFAULT_SLOT = "default";
+
+// Typical webcam horizontal field of view, in degrees
+HatRenderer.DEFAULT_FOV = 63;
+
+// Centimetres per full slider offset in perspective mode
+HatRenderer.PERSPECTIVE_OFFSET_CM = 20;
+
+// Fixed lighting used when lighting isn't matched to the camera
+HatRenderer.DEFAULT_LIGHTS = {
+  ambient: { color: 0xffffff, intensity: 0.7 },
+  key: { color: 0xffffff, intensity: 0.8, position: [0, 1, 2] },
+  rim: { color: 0x00ffd5, intensity: 0.3, position: [-1, 0, -1] },
+};
+
+// Average frame luminance the default light intensities are tuned for
+HatRenderer.REFERENCE_BRIGHTNESS = 0.45;
+
+// Contact shadow edge width under a single hard light and fully diffuse light
+HatRenderer.SHADOW_SOFTNESS = { hard: 0.15, diffuse: 0.45 };
+
 // Export for module use
 if (typeof module !== "undefined" && module.exports) {
   module.exports = HatRenderer;
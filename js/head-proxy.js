@@ -0,0 +1,136 @@
+/**
+ * Head Proxy
+ * Invisible, depth-only ellipsoid standing in for the user's skull so that
+ * hat geometry behind the head is hidden by the depth test. It is fitted even
+ * with occlusion off, since the contact shadow is drawn onto it.
+ */
+
+class HeadProxy {
+  constructor(scene) {
+    this.scene = scene;
+    this.enabled = true;
+
+    // Smoothed head dimensions in scene units, and whether the current pose
+    // fits a visible face
+    this.smoothedSize = null;
+    this.isFitted = false;
+
+    // Only writes depth; drawn before the hat so it can occlude it
+    this.material = new THREE.MeshBasicMaterial({
+      colorWrite: false,
+      depthWrite: true,
+    });
+
+    // Unit sphere scaled to the head's half-extents every frame
+    this.mesh = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 32, 24),
+      this.material
+    );
+    this.mesh.renderOrder = -1;
+    this.mesh.visible = false;
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Measure the head from face-mesh landmarks
+   * @param {Object} faceData - Face detection data with rawLandmarks
+   * @param {number} units - Scene units per normalized landmark unit
+   * @returns {Object} Head size {x: width, y: height, z: depth} in scene units
+   */
+  measure(faceData, units) {
+    const landmarks = faceData.rawLandmarks;
+    const leftEar = landmarks[HeadProxy.LANDMARKS.leftEar];
+    const rightEar = landmarks[HeadProxy.LANDMARKS.rightEar];
+    const chin = landmarks[HeadProxy.LANDMARKS.chin];
+
+    const width = Utils.distance3D(leftEar, rightEar) * units;
+    const height = Utils.distance3D(faceData.headTop, chin) * units;
+
+    return {
+      x: width,
+      y: height,
+      z: width * HeadProxy.DEPTH_RATIO,
+    };
+  }
+
+  /**
+   * Fit the proxy to the current face
+   * @param {Object} faceData - Face detection data
+   * @param {Object} headTop - Smoothed head-top position in scene units
+   * @param {THREE.Quaternion} quaternion - Head orientation
+   * @param {number} smoothing - Smoothing factor
+   * @param {number} units - Scene units per normalized landmark unit
+   */
+  update(faceData, headTop, quaternion, smoothing, units = 2) {
+    if (!faceData.detected || !faceData.rawLandmarks) {
+      this.hide();
+      return;
+    }
+
+    this.smoothedSize = Utils.smooth3D(
+      this.measure(faceData, units),
+      this.smoothedSize,
+      smoothing
+    );
+    const size = this.smoothedSize;
+
+    // The head-top estimate sits on the front of the skull; the skull centre
+    // is half a head below it and half a head behind it
+    const offset = new THREE.Vector3(0, -size.y / 2, -size.z / 2);
+    offset.applyQuaternion(quaternion);
+
+    this.mesh.position.set(headTop.x, headTop.y, headTop.z).add(offset);
+    this.mesh.quaternion.copy(quaternion);
+    this.mesh.scale.set(size.x / 2, size.y / 2, size.z / 2);
+    this.mesh.visible = this.enabled;
+    this.isFitted = true;
+  }
+
+  /**
+   * Drop smoothed state so the next fit starts fresh
+   */
+  reset() {
+    this.smoothedSize = null;
+  }
+
+  /**
+   * Hide the proxy until the next fit
+   */
+  hide() {
+    this.mesh.visible = false;
+    this.isFitted = false;
+  }
+
+  /**
+   * Enable or disable occlusion
+   * @param {boolean} enabled - Whether the proxy should occlude the hat
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.mesh.visible = enabled && this.isFitted;
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.scene.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+// Face-mesh landmarks used to size the proxy
+HeadProxy.LANDMARKS = {
+  chin: 152,
+  leftEar: 234,
+  rightEar: 454,
+};
+
+// Front-to-back skull length relative to ear-to-ear width
+HeadProxy.DEPTH_RATIO = 1.2;
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HeadProxy;
+}
@@ -0,0 +1,271 @@
+/**
+ * Input Source
+ * One interface over everything the app can track: the live camera, a
+ * looping video file or a single still image
+ */
+
+class InputSource {
+  constructor(video, image) {
+    this.video = video;
+    this.image = image;
+
+    // "camera", "video", "image" or "replay" while a source is open
+    this.kind = null;
+    this.objectUrl = null;
+
+    // Frame size of a landmark replay, which has no pixels of its own
+    this.replaySize = null;
+
+    // Selfie view: the frame is shown and tracked as a mirror image
+    this.mirrored = true;
+    // Camera actually opened, once known
+    this.deviceId = null;
+  }
+
+  /**
+   * Element holding the current frame
+   * @returns {HTMLVideoElement|HTMLImageElement} Frame element
+   */
+  get element() {
+    return this.kind === "image" ? this.image : this.video;
+  }
+
+  /**
+   * Frame width in pixels
+   * @returns {number} Width, 0 until a source is loaded
+   */
+  get width() {
+    if (this.kind === "replay") return this.replaySize.width;
+    return this.kind === "image"
+      ? this.image.naturalWidth
+      : this.video.videoWidth;
+  }
+
+  /**
+   * Frame height in pixels
+   * @returns {number} Height, 0 until a source is loaded
+   */
+  get height() {
+    if (this.kind === "replay") return this.replaySize.height;
+    return this.kind === "image"
+      ? this.image.naturalHeight
+      : this.video.videoHeight;
+  }
+
+  /**
+   * Check whether the frame never changes
+   * @returns {boolean} True for still images
+   */
+  get isStill() {
+    return this.kind === "image";
+  }
+
+  /**
+   * Check whether the element shows real frames to sample
+   * @returns {boolean} False with no source, or for a landmark replay
+   */
+  get hasPixels() {
+    return this.kind !== null && this.kind !== "replay";
+  }
+
+  /**
+   * Open a camera
+   * @param {Object} options - {deviceId, facingMode, resolution}
+   */
+  async startCamera(options = {}) {
+    this.stop();
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: InputSource.cameraConstraints(options),
+      });
+    } catch (error) {
+      // A remembered camera may have been unplugged; take any camera instead
+      const missing =
+        error.name === "OverconstrainedError" || error.name === "NotFoundError";
+      if (!options.deviceId || !missing) throw error;
+
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: InputSource.cameraConstraints({ ...options, deviceId: null }),
+      });
+    }
+
+    this.video.srcObject = stream;
+    this.video.loop = false;
+    await this.playVideo();
+
+    // Webcams often don't report a facing; treat those as front cameras
+    const settings = stream.getVideoTracks()[0].getSettings();
+    const facingMode = settings.facingMode || options.facingMode || "user";
+
+    this.kind = "camera";
+    this.deviceId = settings.deviceId || null;
+    this.mirrored = facingMode !== "environment";
+    this.showElement();
+  }
+
+  /**
+   * Open a local video or image file
+   * @param {File} file - File chosen by the user
+   */
+  async openFile(file) {
+    const type = file.type.split("/")[0];
+    if (type !== "video" && type !== "image") {
+      throw new Error(`Unsupported file type: ${file.type || file.name}`);
+    }
+
+    this.stop();
+    this.objectUrl = URL.createObjectURL(file);
+
+    try {
+      if (type === "image") {
+        this.image.src = this.objectUrl;
+        await this.image.decode();
+      } else {
+        this.video.src = this.objectUrl;
+        this.video.loop = true;
+        this.video.muted = true;
+        await this.playVideo();
+      }
+    } catch (error) {
+      this.stop();
+      throw new Error(`Could not open ${file.name}`);
+    }
+
+    this.kind = type;
+    // Files show the scene as recorded, not as a mirror
+    this.mirrored = false;
+    this.showElement();
+  }
+
+  /**
+   * Stand in for a landmark replay: a blank frame of the recorded size
+   * @param {Object} frameSize - {width, height} of the recorded frames
+   * @param {boolean} mirrored - Whether the recording came from a selfie view
+   */
+  openReplay(frameSize, mirrored) {
+    this.stop();
+
+    this.kind = "replay";
+    this.replaySize = frameSize;
+    this.mirrored = mirrored;
+    this.showElement();
+  }
+
+  /**
+   * Wait for the video's metadata, then start playback
+   * @returns {Promise<void>} Resolves once playing
+   */
+  playVideo() {
+    return new Promise((resolve, reject) => {
+      this.video.onloadedmetadata = () => {
+        this.video.play().then(resolve, reject);
+      };
+      this.video.onerror = () => reject(this.video.error);
+    }).finally(() => {
+      this.video.onloadedmetadata = null;
+      this.video.onerror = null;
+    });
+  }
+
+  /**
+   * Show the element for the current source and hide the other
+   */
+  showElement() {
+    this.video.hidden = this.kind === "image";
+    this.image.hidden = this.kind !== "image";
+
+    [this.video, this.image].forEach((element) => {
+      element.classList.toggle("mirrored", this.mirrored);
+    });
+  }
+
+  /**
+   * Close the current source
+   */
+  stop() {
+    if (this.video.srcObject) {
+      this.video.srcObject.getTracks().forEach((track) => track.stop());
+      this.video.srcObject = null;
+    }
+
+    if (this.video.getAttribute("src")) {
+      this.video.pause();
+      this.video.removeAttribute("src");
+      this.video.load();
+    }
+
+    if (this.image.getAttribute("src")) {
+      this.image.removeAttribute("src");
+    }
+
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+
+    this.kind = null;
+    this.deviceId = null;
+    this.replaySize = null;
+    this.showElement();
+  }
+
+  /**
+   * Build getUserMedia video constraints from camera options
+   * @param {Object} options - {deviceId, facingMode, resolution}
+   * @returns {Object} Video constraints
+   */
+  static cameraConstraints(options = {}) {
+    const size =
+      InputSource.RESOLUTIONS[options.resolution] ||
+      InputSource.RESOLUTIONS[InputSource.DEFAULT_RESOLUTION];
+
+    const constraints = {
+      width: { ideal: size.width },
+      height: { ideal: size.height },
+    };
+
+    // A specific device wins over a facing preference
+    if (options.deviceId) {
+      constraints.deviceId = { exact: options.deviceId };
+    } else {
+      constraints.facingMode = options.facingMode || "user";
+    }
+
+    return constraints;
+  }
+
+  /**
+   * List the cameras the browser can open. Labels stay empty until camera
+   * permission has been granted once.
+   * @returns {Promise<Array>} Cameras as {id, label}
+   */
+  static async listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return [];
+    }
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((device) => device.kind === "videoinput" && device.deviceId)
+      .map((device, i) => ({
+        id: device.deviceId,
+        label: device.label || `Camera ${i + 1}`,
+      }));
+  }
+}
+
+// Camera resolution presets, requested as ideal sizes
+InputSource.RESOLUTIONS = {
+  "480p": { width: 640, height: 480 },
+  "720p": { width: 1280, height: 720 },
+  "1080p": { width: 1920, height: 1080 },
+};
+
+InputSource.DEFAULT_RESOLUTION = "720p";
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = InputSource;
+}
@@ -0,0 +1,152 @@
+/**
+ * Landmark Replay
+ * Feeds a LandmarkRecorder session through MediaPipeHandler.processResults()
+ * with FaceMesh bypassed. run() replays a whole session synchronously with
+ * the recorded timestamps, so the same session always yields the same face
+ * data; update() plays it back in real time for the app.
+ */
+
+class LandmarkReplay {
+  constructor(session, handler, options = {}) {
+    this.session = session;
+    this.handler = handler;
+    this.loop = options.loop || false;
+    this.reset();
+  }
+
+  /**
+   * Session length
+   * @returns {number} Time of the last frame (ms)
+   */
+  get duration() {
+    const frames = this.session.frames;
+    return frames.length > 0 ? frames[frames.length - 1].t : 0;
+  }
+
+  /**
+   * Pixel size of the recorded frames
+   * @returns {Object} {width, height}
+   */
+  get frameSize() {
+    const first = this.session.frames[0];
+    return first
+      ? { width: first.width, height: first.height }
+      : { width: 1280, height: 720 };
+  }
+
+  /**
+   * Check whether every frame has been pushed
+   * @returns {boolean} True at the end of a non-looping replay
+   */
+  get isFinished() {
+    return !this.loop && this.index >= this.session.frames.length;
+  }
+
+  /**
+   * Rewind to the first frame
+   */
+  reset() {
+    this.index = 0;
+    this.isPlaying = false;
+    // Added to recorded times: the playback start, plus one session length
+    // per completed loop so timestamps keep increasing
+    this.timeOffset = 0;
+  }
+
+  /**
+   * Push the next frame through the handler
+   * @returns {Object|null} Face data, or null past the last frame
+   */
+  step() {
+    const frame = this.session.frames[this.index];
+    if (!frame) return null;
+    this.index++;
+
+    this.handler.frameSize = { width: frame.width, height: frame.height };
+    return this.handler.processResults(
+      { multiFaceLandmarks: frame.faces },
+      this.timeOffset + frame.t
+    );
+  }
+
+  /**
+   * Replay the whole session at once
+   * @param {Function} callback - Called with (faceData, frame) per frame
+   * @returns {Array} Face data for every frame
+   */
+  run(callback = () => {}) {
+    this.reset();
+
+    const results = [];
+    this.session.frames.forEach((frame) => {
+      const faceData = this.step();
+      callback(faceData, frame);
+      results.push(faceData);
+    });
+    return results;
+  }
+
+  /**
+   * Push every frame that is due by now, for real-time playback
+   * @param {number} now - Current time (ms)
+   */
+  update(now) {
+    const frames = this.session.frames;
+    if (frames.length === 0) return;
+
+    // Recorded times become wall-clock times from the first update on
+    if (!this.isPlaying) {
+      this.isPlaying = true;
+      this.timeOffset = now;
+    }
+
+    if (this.loop && this.index >= frames.length) {
+      // Start the next pass one frame interval after the last frame
+      this.index = 0;
+      this.timeOffset += this.duration + Smoothing.DEFAULT_FRAME_MS;
+    }
+
+    while (
+      this.index < frames.length &&
+      this.timeOffset + frames[this.index].t <= now
+    ) {
+      this.step();
+    }
+  }
+
+  /**
+   * Read a session saved by LandmarkRecorder
+   * @param {string} json - JSON document
+   * @returns {Object} Session with landmarks expanded to {x, y, z} objects
+   */
+  static parse(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error("Landmark recording is not valid JSON");
+    }
+
+    if (!data || !Array.isArray(data.frames)) {
+      throw new Error("Landmark recording has no frames");
+    }
+
+    return {
+      version: data.version,
+      mirrored: data.mirrored !== false,
+      frames: data.frames.map((frame) => ({
+        t: frame.t,
+        width: frame.width,
+        height: frame.height,
+        faces: (frame.faces || []).map((landmarks) =>
+          landmarks.map(([x, y, z]) => ({ x, y, z }))
+        ),
+      })),
+    };
+  }
+}
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LandmarkReplay;
+}
@@ -0,0 +1,238 @@
+/**
+ * Light Estimator
+ * Estimates room lighting from the input frame: overall brightness and
+ * colour from the whole frame, and a dominant light direction from how the
+ * face is shaded left to right and top to bottom
+ */
+
+class LightEstimator {
+  constructor(options = {}) {
+    // Sampling reads pixels back from the GPU, so only do it this often (ms)
+    this.interval = options.interval || 200;
+    // Weight of the previous estimate, so lighting drifts rather than flickers
+    this.smoothing = options.smoothing !== undefined ? options.smoothing : 0.7;
+
+    // Downscaled copy of the frame; also serves as the environment map image
+    this.canvas = document.createElement("canvas");
+    this.ctx = this.canvas.getContext("2d", { willReadFrequently: true });
+
+    this.lastUpdate = null;
+    this.estimate = null;
+  }
+
+  /**
+   * Re-estimate lighting if the sampling interval has passed
+   * @param {InputSource} source - Current input source
+   * @param {Object|null} faceData - Latest face data, for face shading
+   * @param {number} now - Current time (ms)
+   * @returns {Object|null} New smoothed estimate, or null if not due
+   */
+  update(source, faceData, now) {
+    if (this.lastUpdate !== null && now - this.lastUpdate < this.interval) {
+      return null;
+    }
+    this.lastUpdate = now;
+
+    const image = this.sampleFrame(source);
+    if (!image) return null;
+
+    const frame = LightEstimator.average(image, 0, 0, 1, 1);
+    const landmarks =
+      faceData && faceData.detected ? faceData.rawLandmarks : null;
+    const shading = landmarks
+      ? LightEstimator.faceShading(image, landmarks)
+      : { x: 0, y: 0 };
+
+    const estimate = LightEstimator.fromSamples(
+      frame,
+      shading,
+      source.mirrored
+    );
+    this.estimate = this.estimate
+      ? LightEstimator.blend(this.estimate, estimate, this.smoothing)
+      : estimate;
+    return this.estimate;
+  }
+
+  /**
+   * Draw the current frame into the small sampling canvas
+   * @param {InputSource} source - Current input source
+   * @returns {ImageData|null} Downscaled pixels
+   */
+  sampleFrame(source) {
+    if (!source.width || !source.height) return null;
+
+    const width = LightEstimator.SAMPLE_WIDTH;
+    const height = Math.max(
+      1,
+      Math.round((width * source.height) / source.width)
+    );
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    this.ctx.drawImage(source.element, 0, 0, width, height);
+    return this.ctx.getImageData(0, 0, width, height);
+  }
+
+  /**
+   * Drop the current estimate so the next one starts fresh
+   */
+  reset() {
+    this.lastUpdate = null;
+    this.estimate = null;
+  }
+
+  /**
+   * Average colour of a normalized region of an image
+   * @param {ImageData} image - Pixels
+   * @param {number} x0 - Left edge (0-1)
+   * @param {number} y0 - Top edge (0-1)
+   * @param {number} x1 - Right edge (0-1)
+   * @param {number} y1 - Bottom edge (0-1)
+   * @returns {Object} {r, g, b} (0-1)
+   */
+  static average(image, x0, y0, x1, y1) {
+    const clampX = (x) => Math.min(Math.max(x, 0), image.width);
+    const clampY = (y) => Math.min(Math.max(y, 0), image.height);
+    const left = clampX(Math.floor(x0 * image.width));
+    const right = clampX(Math.ceil(x1 * image.width));
+    const top = clampY(Math.floor(y0 * image.height));
+    const bottom = clampY(Math.ceil(y1 * image.height));
+
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let count = 0;
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        const i = (y * image.width + x) * 4;
+        r += image.data[i];
+        g += image.data[i + 1];
+        b += image.data[i + 2];
+        count++;
+      }
+    }
+
+    if (count === 0) return { r: 0, g: 0, b: 0 };
+    return { r: r / count / 255, g: g / count / 255, b: b / count / 255 };
+  }
+
+  /**
+   * Relative luminance of a colour
+   * @param {Object} color - {r, g, b} (0-1)
+   * @returns {number} Luminance (0-1)
+   */
+  static luminance(color) {
+    return 0.2126 * color.r + 0.7152 * color.g + 0.0722 * color.b;
+  }
+
+  /**
+   * Compare brightness on opposite sides of the face
+   * @param {ImageData} image - Pixels
+   * @param {Array} landmarks - Face mesh landmarks
+   * @returns {Object} {x: right minus left, y: top minus bottom}, each -1 to 1
+   */
+  static faceShading(image, landmarks) {
+    const patch = LightEstimator.PATCH_SIZE;
+    const sample = (index) => {
+      const p = landmarks[index];
+      return LightEstimator.luminance(
+        LightEstimator.average(
+          image,
+          p.x - patch,
+          p.y - patch,
+          p.x + patch,
+          p.y + patch
+        )
+      );
+    };
+    const contrast = (a, b) => (a + b > 0 ? (a - b) / (a + b) : 0);
+
+    const points = LightEstimator.LANDMARKS;
+    return {
+      x: contrast(sample(points.rightCheek), sample(points.leftCheek)),
+      y: contrast(sample(points.forehead), sample(points.chin)),
+    };
+  }
+
+  /**
+   * Turn frame and face samples into a lighting estimate
+   * @param {Object} frame - Average frame colour {r, g, b}
+   * @param {Object} shading - Face shading from faceShading
+   * @param {boolean} mirrored - Whether the scene is a mirror image
+   * @returns {Object} {color, brightness, direction, contrast}
+   */
+  static fromSamples(frame, shading, mirrored) {
+    // Cameras auto white-balance, so the frame's cast is a weak hint; use
+    // half of it, normalized so the brightest channel is 1
+    const max = Math.max(frame.r, frame.g, frame.b) || 1;
+    const tint = (c) => 0.5 + (0.5 * c) / max;
+
+    // Image X runs against scene X in the mirrored view
+    const gain = LightEstimator.SHADING_GAIN;
+    const x = (mirrored ? -1 : 1) * shading.x * gain;
+    const y = shading.y * gain;
+    const length = Math.hypot(x, y, 1);
+
+    return {
+      color: { r: tint(frame.r), g: tint(frame.g), b: tint(frame.b) },
+      brightness: LightEstimator.luminance(frame),
+      direction: { x: x / length, y: y / length, z: 1 / length },
+      contrast: Math.min(Math.hypot(shading.x, shading.y) * gain, 1),
+    };
+  }
+
+  /**
+   * Blend two estimates
+   * @param {Object} previous - Previous estimate
+   * @param {Object} next - New estimate
+   * @param {number} weight - Weight of the previous estimate (0-1)
+   * @returns {Object} Blended estimate
+   */
+  static blend(previous, next, weight) {
+    const mix = (a, b) => a * weight + b * (1 - weight);
+    const mix3 = (a, b, keys) =>
+      keys.reduce((out, key) => {
+        out[key] = mix(a[key], b[key]);
+        return out;
+      }, {});
+
+    const direction = mix3(previous.direction, next.direction, ["x", "y", "z"]);
+    const length = Math.hypot(direction.x, direction.y, direction.z) || 1;
+
+    return {
+      color: mix3(previous.color, next.color, ["r", "g", "b"]),
+      brightness: mix(previous.brightness, next.brightness),
+      direction: {
+        x: direction.x / length,
+        y: direction.y / length,
+        z: direction.z / length,
+      },
+      contrast: mix(previous.contrast, next.contrast),
+    };
+  }
+}
+
+// Width of the sampling canvas in pixels
+LightEstimator.SAMPLE_WIDTH = 160;
+
+// Half-size of the patch averaged around each face landmark (frame widths)
+LightEstimator.PATCH_SIZE = 0.015;
+
+// Scales face contrast into light-direction tilt
+LightEstimator.SHADING_GAIN = 3;
+
+// Face-mesh landmarks compared for shading
+LightEstimator.LANDMARKS = {
+  leftCheek: 50,
+  rightCheek: 280,
+  forehead: 151,
+  chin: 199,
+};
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LightEstimator;
+}
@@ -10,6 +10,31 @@ class MediaPipeHandler {
         this.onResults = options.onResults || (() => {});
         this.onReady = options.onReady || (() => {});
         this.onError = options.onError || console.error;
+        this.maxFaces = options.maxFaces || 1;
+        this.assetPath = options.assetPath || 'vendor/mediapipe/face_mesh/';
+
+        // Keeps face identities stable across frames
+        this.tracker = new FaceTracker();
+
+        // Spots expressions and head gestures on tracked faces, and who to
+        // tell about them: event name to a set of listeners
+        this.faceEvents = new FaceEvents(options.faceEvents);
+        this.eventListeners = new Map();
+
+        // Pixel size of the last processed frame, used to un-normalize landmarks
+        this.frameSize = { width: 1280, height: 720 };
+
+        // Optional LandmarkRecorder that sees every raw result
+        this.recorder = null;
+
+        // Optional HairSegmenter that raises the head top over big hair
+        this.hairSegmenter = null;
+
+        // Quality levers: iris refinement, and the width frames are scaled
+        // down to before inference (null sends full frames)
+        this.refineLandmarks = true;
+        this.inputWidth = null;
+        this.inputCanvas = null;
         
         // Key landmark indices for head pose estimation
         this.landmarks = {
@@ -32,13 +57,13 @@ class MediaPipeHandler {
         try {
             this.faceMesh = new FaceMesh({
                 locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4/${file}`;
+                    return `${this.assetPath}${file}`;
                 }
             });
 
             this.faceMesh.setOptions({
-                maxNumFaces: 1,
-                refineLandmarks: true,
+                maxNumFaces: this.maxFaces,
+                refineLandmarks: this.refineLandmarks,
                 minDetectionConfidence: 0.5,
                 minTrackingConfidence: 0.5
             });
@@ -57,32 +82,218 @@ class MediaPipeHandler {
     }
 
     /**
-     * Process a video frame
-     * @param {HTMLVideoElement} video - Video element to process
+     * Change how many faces are detected per frame
+     * @param {number} maxFaces - Maximum number of faces
+     */
+    setMaxFaces(maxFaces) {
+        this.maxFaces = Math.max(1, Math.round(maxFaces));
+        if (this.faceMesh) {
+            this.faceMesh.setOptions({ maxNumFaces: this.maxFaces });
+        }
+    }
+
+    /**
+     * Turn iris landmark refinement on or off
+     * @param {boolean} refine - Whether to refine landmarks
+     */
+    setRefineLandmarks(refine) {
+        if (refine === this.refineLandmarks) return;
+        this.refineLandmarks = refine;
+        if (this.faceMesh) {
+            this.faceMesh.setOptions({ refineLandmarks: refine });
+        }
+    }
+
+    /**
+     * Set the width frames are scaled down to before inference
+     * @param {number|null} width - Width in pixels, or null for full frames
+     */
+    setInputWidth(width) {
+        this.inputWidth = width || null;
+    }
+
+    /**
+     * Scale a frame down to the inference input width
+     * @param {HTMLVideoElement|HTMLImageElement} frame - Source frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @returns {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} Input image
+     */
+    scaleInput(frame, width, height) {
+        if (!this.inputWidth || this.inputWidth >= width) return frame;
+
+        if (!this.inputCanvas) {
+            this.inputCanvas = document.createElement('canvas');
+        }
+
+        // Resizing a canvas clears and reallocates it, so only do it on change
+        const canvas = this.inputCanvas;
+        const inputHeight = Math.round(height * this.inputWidth / width);
+        if (canvas.width !== this.inputWidth || canvas.height !== inputHeight) {
+            canvas.width = this.inputWidth;
+            canvas.height = inputHeight;
+        }
+
+        canvas.getContext('2d').drawImage(frame, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * Switch between video tracking and one-off still image detection
+     * @param {boolean} isStill - True when frames are unrelated stills
+     */
+    setStaticMode(isStill) {
+        if (this.faceMesh) {
+            this.faceMesh.setOptions({ staticImageMode: isStill });
+        }
+    }
+
+    /**
+     * Record raw landmarks from now on, or stop recording
+     * @param {LandmarkRecorder|null} recorder - Recorder, or null to stop
+     */
+    setRecorder(recorder) {
+        this.recorder = recorder;
+    }
+
+    /**
+     * Measure hair from now on, or stop
+     * @param {HairSegmenter|null} segmenter - Segmenter, or null to stop
+     */
+    setHairSegmenter(segmenter) {
+        this.hairSegmenter = segmenter;
+    }
+
+    /**
+     * Listen for a face event
+     * @param {string} name - Event name, one of FaceEvents.NAMES
+     * @param {Function} listener - Called with {type, faceId, face}
+     * @returns {Function} Call to stop listening
+     */
+    on(name, listener) {
+        if (!this.eventListeners.has(name)) {
+            this.eventListeners.set(name, new Set());
+        }
+        this.eventListeners.get(name).add(listener);
+        return () => this.off(name, listener);
+    }
+
+    /**
+     * Stop listening for a face event
+     * @param {string} name - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(name, listener) {
+        const listeners = this.eventListeners.get(name);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Change face event thresholds and debouncing
+     * @param {Object} settings - Event name to partial {threshold, hold, cooldown}
+     */
+    configureEvents(settings) {
+        this.faceEvents.configure(settings);
+    }
+
+    /**
+     * Tell listeners about the events faces fired this frame
+     * @param {Array} faces - Face data with events from FaceEvents.detect
+     */
+    emitFaceEvents(faces) {
+        faces.forEach((face) => {
+            face.events.forEach((name) => {
+                const listeners = this.eventListeners.get(name);
+                if (!listeners) return;
+
+                listeners.forEach((listener) => {
+                    try {
+                        listener({ type: name, faceId: face.id, face: face });
+                    } catch (error) {
+                        console.error(`Face event listener for ${name} failed:`, error);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Forget tracked faces, e.g. when the input source changes
+     * @returns {Array<number>} IDs of the faces that were dropped
      */
-    async processFrame(video) {
-        if (!this.isReady || !video.videoWidth) return;
-        await this.faceMesh.send({ image: video });
+    reset() {
+        // Hair measurements and gesture state are keyed by face id, which
+        // starts over
+        if (this.hairSegmenter) {
+            this.hairSegmenter.reset();
+        }
+        this.faceEvents.reset();
+        return this.tracker.reset();
+    }
+
+    /**
+     * Process a video frame or still image
+     * @param {HTMLVideoElement|HTMLImageElement} frame - Element to process
+     */
+    async processFrame(frame) {
+        const width = frame.videoWidth || frame.naturalWidth;
+        const height = frame.videoHeight || frame.naturalHeight;
+        if (!this.isReady || !width) return;
+
+        // Landmarks are normalized, so the pose is solved against the full
+        // frame size even when a smaller copy is sent
+        this.frameSize = { width: width, height: height };
+
+        // Segment first, so a fresh mask matches the landmarks that follow
+        if (this.hairSegmenter) {
+            await this.hairSegmenter.segment(frame, performance.now());
+        }
+        await this.faceMesh.send({ image: this.scaleInput(frame, width, height) });
     }
 
     /**
      * Process MediaPipe results and extract head pose data
      * @param {Object} results - MediaPipe results
+     * @param {number} timestamp - Frame time (ms); replays pass recorded times
+     * @returns {Object} Face data, as also passed to onResults
      */
-    processResults(results) {
-        if (!results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
-            this.onResults({ detected: false });
-            return;
+    processResults(results, timestamp = performance.now()) {
+        if (this.recorder) {
+            this.recorder.record(results.multiFaceLandmarks, timestamp, this.frameSize);
         }
 
-        const landmarks = results.multiFaceLandmarks[0];
-        const faceData = this.extractFaceData(landmarks);
-        
-        this.onResults({
-            detected: true,
-            ...faceData,
-            rawLandmarks: landmarks
-        });
+        const detections = (results.multiFaceLandmarks || [])
+            .slice(0, this.maxFaces)
+            .map((landmarks) => ({
+                detected: true,
+                timestamp: timestamp,
+                ...this.extractFaceData(landmarks),
+                rawLandmarks: landmarks
+            }));
+
+        // Tag each face with a stable id; the oldest face comes first
+        const { faces, lost } = this.tracker.update(detections);
+        this.faceEvents.forget(lost);
+        this.faceEvents.detect(faces, timestamp, this.frameSize);
+
+        if (this.hairSegmenter) {
+            this.hairSegmenter.annotate(faces);
+            faces.forEach((face) => {
+                face.headTop = this.adjustHeadTop(face);
+            });
+        }
+
+        // Top-level fields describe the primary face for single-face consumers
+        const faceData = faces.length === 0
+            ? { detected: false, timestamp: timestamp, faces: [], lost: lost }
+            : { ...faces[0], faces: faces, lost: lost };
+
+        this.onResults(faceData);
+        // After the results, so listeners already see this frame's face data
+        this.emitFaceEvents(faces);
+        return faceData;
     }
 
     /**
@@ -110,56 +321,74 @@ class MediaPipeHandler {
         // Calculate head position (top of head estimate)
         const headTop = {
             x: forehead.x,
-            y: forehead.y - (chin.y - forehead.y) * 0.3, // Estimate top of head
+            y: forehead.y - (chin.y - forehead.y) * MediaPipeHandler.HEAD_TOP_RATIO,
             z: forehead.z
         };
 
         // Calculate face width for scaling
         const faceWidth = Utils.distance3D(leftTemple, rightTemple);
 
-        // Calculate rotations
-        const rotation = this.calculateHeadRotation(landmarks);
+        // Calculate the full head pose and its Euler angles
+        const pose = this.calculateHeadPose(landmarks);
+        const rotation = this.calculateHeadRotation(landmarks, pose);
 
         return {
             center: faceCenter,
             headTop: headTop,
             forehead: forehead,
             faceWidth: faceWidth,
-            rotation: rotation
+            rotation: rotation,
+            pose: pose
         };
     }
 
     /**
-     * Calculate head rotation angles
-     * @param {Array} landmarks - Face mesh landmarks
-     * @returns {Object} Rotation {pitch, yaw, roll} in radians
+     * Raise the head top to where a hat would rest on the face's hair
+     * @param {Object} face - Face data with hair from HairSegmenter.annotate
+     * @returns {Object} Head top {x, y, z}
      */
-    calculateHeadRotation(landmarks) {
-        const noseTip = landmarks[this.landmarks.noseTip];
-        const forehead = landmarks[this.landmarks.foreheadTop];
-        const chin = landmarks[this.landmarks.chin];
-        const leftEye = landmarks[this.landmarks.leftEye];
-        const rightEye = landmarks[this.landmarks.rightEye];
+    adjustHeadTop(face) {
+        if (!face.hair) return face.headTop;
 
-        // Yaw (left-right rotation)
-        const eyeCenter = {
-            x: (leftEye.x + rightEye.x) / 2,
-            z: (leftEye.z + rightEye.z) / 2
+        // Hair above the landmark-only estimate, along the chin-forehead axis
+        const extra = face.hair.height * MediaPipeHandler.HAIR_SETTLE -
+            MediaPipeHandler.HEAD_TOP_RATIO;
+        if (extra <= 0) return face.headTop;
+
+        const chin = face.rawLandmarks[this.landmarks.chin];
+        return {
+            x: face.headTop.x + (face.forehead.x - chin.x) * extra,
+            y: face.headTop.y + (face.forehead.y - chin.y) * extra,
+            z: face.headTop.z + (face.forehead.z - chin.z) * extra
         };
-        const yaw = Math.atan2(noseTip.z - eyeCenter.z, noseTip.x - eyeCenter.x) - Math.PI / 2;
+    }
 
-        // Pitch (up-down rotation)
-        const faceVertical = chin.y - forehead.y;
-        const faceDepth = noseTip.z - ((forehead.z + chin.z) / 2);
-        const pitch = Math.atan2(faceDepth, faceVertical);
+    /**
+     * Solve the 6-DoF head pose by fitting the canonical face to the landmarks
+     * @param {Array} landmarks - Face mesh landmarks
+     * @returns {Object|null} Pose {rotation, quaternion, euler, translation, scale}
+     */
+    calculateHeadPose(landmarks) {
+        return PoseSolver.solve(landmarks, this.frameSize.width, this.frameSize.height);
+    }
 
-        // Roll (head tilt)
-        const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+    /**
+     * Calculate head rotation angles
+     * @param {Array} landmarks - Face mesh landmarks
+     * @param {Object} pose - Pose from calculateHeadPose, solved if omitted
+     * @returns {Object} Rotation {pitch, yaw, roll} in radians
+     */
+    calculateHeadRotation(landmarks, pose = this.calculateHeadPose(landmarks)) {
+        if (!pose) {
+            return { pitch: 0, yaw: 0, roll: 0 };
+        }
 
+        // Pitch and roll match the mirrored scene's X/Z Euler angles; yaw is
+        // positive when the head turns toward the image left
         return {
-            pitch: pitch,
-            yaw: yaw,
-            roll: roll
+            pitch: pose.euler.x,
+            yaw: -pose.euler.y,
+            roll: pose.euler.z
         };
     }
 
@@ -167,6 +396,10 @@ class MediaPipeHandler {
      * Clean up resources
      */
     destroy() {
+        this.tracker.reset();
+        this.faceEvents.reset();
+        this.eventListeners.clear();
+
         if (this.faceMesh) {
             this.faceMesh.close();
             this.faceMesh = null;
@@ -175,6 +408,12 @@ class MediaPipeHandler {
     }
 }
 
+// Head top above the forehead landmark, relative to the forehead-chin distance
+MediaPipeHandler.HEAD_TOP_RATIO = 0.3;
+
+// Fraction of the hair silhouette's height a hat rests at; hats press hair down
+MediaPipeHandler.HAIR_SETTLE = 0.8;
+
 // Export for module use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MediaPipeHandler;
@@ -0,0 +1,134 @@
+/**
+ * Offline asset manifest
+ * Single list of everything the app needs without network access. Shared by
+ * the page (startup check) and the service worker (precache).
+ */
+
+const OfflineAssets = {
+  // Bump to drop old service-worker caches, e.g. after updating vendor/;
+  // the app's own files refresh themselves
+  VERSION: "hatar-v3",
+
+  // Third-party libraries served from vendor/ (see scripts/vendor-assets.sh)
+  VENDOR: [
+    "vendor/mediapipe/face_mesh/face_mesh.js",
+    "vendor/mediapipe/face_mesh/face_mesh.binarypb",
+    "vendor/mediapipe/face_mesh/face_mesh_solution_packed_assets.data",
+    "vendor/mediapipe/face_mesh/face_mesh_solution_packed_assets_loader.js",
+    "vendor/mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.data",
+    "vendor/mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.js",
+    "vendor/mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.wasm",
+    "vendor/mediapipe/face_mesh/face_mesh_solution_wasm_bin.js",
+    "vendor/mediapipe/face_mesh/face_mesh_solution_wasm_bin.wasm",
+    "vendor/mediapipe/selfie_segmentation/selfie_segmentation.js",
+    "vendor/mediapipe/selfie_segmentation/selfie_segmentation.binarypb",
+    "vendor/mediapipe/selfie_segmentation/selfie_segmentation.tflite",
+    "vendor/mediapipe/selfie_segmentation/selfie_segmentation_landscape.tflite",
+    "vendor/mediapipe/selfie_segmentation/selfie_segmentation_solution_simd_wasm_bin.data",
+    "vendor/mediapipe/selfie_segmentation/selfie_segmentation_solution_simd_wasm_bin.js",
+    "vendor/mediapipe/selfie_segmentation/selfie_segmentation_solution_simd_wasm_bin.wasm",
+    "vendor/mediapipe/selfie_segmentation/selfie_segmentation_solution_wasm_bin.js",
+    "vendor/mediapipe/selfie_segmentation/selfie_segmentation_solution_wasm_bin.wasm",
+    "vendor/mediapipe/camera_utils/camera_utils.js",
+    "vendor/three/build/three.module.js",
+    "vendor/three/examples/jsm/loaders/GLTFLoader.js",
+    "vendor/three/examples/jsm/utils/BufferGeometryUtils.js",
+    "vendor/three/examples/jsm/utils/SkeletonUtils.js",
+  ],
+
+  // The app itself
+  APP: [
+    "./",
+    "index.html",
+    "js/offline-assets.js",
+    "js/utils.js",
+    "js/hat-fit.js",
+    "js/hat-catalog.js",
+    "js/settings-store.js",
+    "js/smoothing.js",
+    "js/pose-solver.js",
+    "js/face-tracker.js",
+    "js/face-events.js",
+    "js/hair-segmenter.js",
+    "js/hair-clipper.js",
+    "js/mediapipe-handler.js",
+    "js/input-source.js",
+    "js/landmark-recorder.js",
+    "js/landmark-replay.js",
+    "js/head-proxy.js",
+    "js/contact-shadow.js",
+    "js/hat-materials.js",
+    "js/secondary-motion.js",
+    "js/hat-animator.js",
+    "js/hat-instance.js",
+    "js/light-estimator.js",
+    "js/hat-renderer.js",
+    "js/frame-compositor.js",
+    "js/clip-recorder.js",
+    "js/performance-governor.js",
+    "js/app.js",
+  ],
+
+  // Catalog manifest; the models it lists are cached alongside it
+  CATALOG: "models/catalog.json",
+
+  /**
+   * List every file referenced by the hat catalog
+   * @param {Object} manifest - Parsed catalog manifest
+   * @returns {Array<string>} Model, fit and thumbnail URLs
+   */
+  catalogFiles(manifest) {
+    const files = [];
+    (manifest.hats || []).forEach((hat) => {
+      [hat.model, hat.thumbnail, hat.fit].forEach((file) => {
+        if (typeof file === "string") files.push(file);
+      });
+    });
+    return files;
+  },
+
+  /**
+   * Check which assets are neither cached nor fetchable
+   * @param {Array<string>} urls - Asset URLs
+   * @returns {Promise<Array<string>>} URLs that are missing
+   */
+  async findMissing(urls) {
+    const results = await Promise.all(
+      urls.map(async (url) => {
+        try {
+          // Offline, only the precache has them; the service worker won't
+          // answer a HEAD request from it
+          if (typeof caches !== "undefined" && (await caches.match(url))) {
+            return null;
+          }
+
+          const response = await fetch(url, { method: "HEAD" });
+          return response.ok ? null : url;
+        } catch (error) {
+          return url;
+        }
+      })
+    );
+    return results.filter(Boolean);
+  },
+
+  /**
+   * Register the precaching service worker where supported
+   * @returns {Promise<ServiceWorkerRegistration|null>} Registration
+   */
+  async registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return null;
+
+    try {
+      return await navigator.serviceWorker.register("sw.js");
+    } catch (error) {
+      console.warn("Service worker registration failed:", error);
+      return null;
+    }
+  },
+};
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = OfflineAssets;
+}
@@ -0,0 +1,188 @@
+/**
+ * Performance Governor
+ * Watches render and detection timing and steps quality down when the app
+ * can't hold its target frame rate, and back up once there is headroom
+ */
+
+class PerformanceGovernor {
+  constructor(options = {}) {
+    this.targetFps = options.targetFps || 30;
+    this.onChange = options.onChange || (() => {});
+
+    // "auto", or a fixed LEVELS index chosen by the user
+    this.mode = "auto";
+    this.level = 0;
+
+    // Consecutive windows with headroom, before stepping back up
+    this.goodWindows = 0;
+
+    // Latest window's measurements
+    this.stats = { renderFps: 0, detectionMs: 0 };
+
+    this.lastFrame = null;
+    this.resetWindow(null);
+  }
+
+  /**
+   * Current quality level
+   * @returns {Object} Entry of PerformanceGovernor.LEVELS
+   */
+  get currentLevel() {
+    return PerformanceGovernor.LEVELS[this.level];
+  }
+
+  /**
+   * Choose automatic quality or pin a level
+   * @param {string|number} mode - "auto" or a LEVELS index
+   */
+  setMode(mode) {
+    const index = parseInt(mode);
+    const fixed = !isNaN(index) && PerformanceGovernor.LEVELS[index];
+
+    this.mode = fixed ? index : "auto";
+    this.goodWindows = 0;
+    if (fixed) {
+      this.setLevel(index);
+    }
+  }
+
+  /**
+   * Switch quality level
+   * @param {number} index - LEVELS index, clamped to the valid range
+   */
+  setLevel(index) {
+    const level = Math.min(
+      Math.max(index, 0),
+      PerformanceGovernor.LEVELS.length - 1
+    );
+    if (level === this.level) return;
+
+    this.level = level;
+    this.goodWindows = 0;
+    // Measurements from the old level say nothing about the new one
+    this.resetWindow(this.lastFrame);
+    this.onChange(this.currentLevel, level);
+  }
+
+  /**
+   * Start a new measurement window
+   * @param {number|null} now - Current time (ms)
+   */
+  resetWindow(now) {
+    this.windowStart = now;
+    this.frames = 0;
+    this.detections = 0;
+    this.detectionTime = 0;
+  }
+
+  /**
+   * Count a rendered frame
+   * @param {number} now - Frame time (ms)
+   */
+  frame(now) {
+    const interval = this.lastFrame === null ? 0 : now - this.lastFrame;
+    this.lastFrame = now;
+
+    // A hidden tab or paused loop isn't a slow device; start over
+    if (this.windowStart === null || interval > PerformanceGovernor.MAX_GAP) {
+      this.resetWindow(now);
+      return;
+    }
+
+    this.frames++;
+    if (now - this.windowStart >= PerformanceGovernor.WINDOW) {
+      this.evaluate(now);
+    }
+  }
+
+  /**
+   * Count a finished detection
+   * @param {number} duration - Time FaceMesh took (ms)
+   */
+  detection(duration) {
+    this.detections++;
+    this.detectionTime += duration;
+  }
+
+  /**
+   * Close the measurement window and adjust quality in auto mode
+   * @param {number} now - Current time (ms)
+   */
+  evaluate(now) {
+    const seconds = (now - this.windowStart) / 1000;
+    this.stats = {
+      renderFps: this.frames / seconds,
+      detectionMs:
+        this.detections > 0 ? this.detectionTime / this.detections : 0,
+    };
+    this.resetWindow(now);
+
+    if (this.mode !== "auto") return;
+
+    const { renderFps, detectionMs } = this.stats;
+    const budget = 1000 / this.targetFps;
+
+    // Too slow to render, or to track, at the target rate
+    if (renderFps < this.targetFps * 0.85 || detectionMs > budget) {
+      this.setLevel(this.level + 1);
+      return;
+    }
+
+    const headroom =
+      renderFps >= this.targetFps * 0.95 && detectionMs < budget * 0.6;
+    this.goodWindows = headroom ? this.goodWindows + 1 : 0;
+    if (this.goodWindows >= PerformanceGovernor.UPGRADE_WINDOWS) {
+      this.setLevel(this.level - 1);
+    }
+  }
+}
+
+// Quality levels, best first
+PerformanceGovernor.LEVELS = [
+  {
+    name: "High",
+    maxPixelRatio: 2,
+    antialias: true,
+    refineLandmarks: true,
+    inputWidth: null,
+    detectEvery: 1,
+  },
+  {
+    name: "Balanced",
+    maxPixelRatio: 1.5,
+    antialias: true,
+    refineLandmarks: true,
+    inputWidth: 640,
+    detectEvery: 1,
+  },
+  {
+    name: "Saver",
+    maxPixelRatio: 1,
+    antialias: false,
+    refineLandmarks: false,
+    inputWidth: 480,
+    detectEvery: 1,
+  },
+  {
+    name: "Low",
+    maxPixelRatio: 0.75,
+    antialias: false,
+    refineLandmarks: false,
+    inputWidth: 320,
+    detectEvery: 2,
+  },
+];
+
+// Measurement window (ms)
+PerformanceGovernor.WINDOW = 2000;
+
+// Frame gap treated as a pause rather than a slow frame (ms)
+PerformanceGovernor.MAX_GAP = 500;
+
+// Windows with headroom needed before raising quality again
+PerformanceGovernor.UPGRADE_WINDOWS = 3;
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PerformanceGovernor;
+}
@@ -0,0 +1,308 @@
+/**
+ * Head Pose Solver
+ * Fits a canonical 3D face model to face-mesh landmarks with a closed-form
+ * similarity alignment (Horn's quaternion method) and returns the full
+ * 6-DoF head pose
+ */
+
+const PoseSolver = {
+  /**
+   * Canonical face, in centimetres, for a face looking straight at the camera.
+   * Axes follow the camera: x to image right, y down, z away from the camera.
+   * Only rigid landmarks are used so expressions don't move the pose.
+   */
+  CANONICAL_FACE: {
+    1: [0, 0, 0], // Nose tip
+    168: [0, -3.7, 1.8], // Nose bridge
+    10: [0, -9.2, 3.0], // Forehead top
+    152: [0, 6.7, 1.6], // Chin
+    33: [-4.4, -3.3, 2.6], // Image-left eye, outer corner
+    133: [-1.5, -3.2, 2.0], // Image-left eye, inner corner
+    362: [1.5, -3.2, 2.0], // Image-right eye, inner corner
+    263: [4.4, -3.3, 2.6], // Image-right eye, outer corner
+    61: [-2.6, 3.0, 2.1], // Image-left mouth corner
+    291: [2.6, 3.0, 2.1], // Image-right mouth corner
+    234: [-7.3, -2.0, 7.0], // Image-left face edge
+    454: [7.3, -2.0, 7.0], // Image-right face edge
+  },
+
+  // Point sets whose second-widest spread is below this fraction of the
+  // widest count as collinear
+  COLLINEAR_RATIO: 1e-6,
+
+  /**
+   * Solve the head pose for one face
+   * @param {Array} landmarks - Face mesh landmarks (normalized x, y, z)
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @returns {Object|null} Pose {rotation, quaternion, euler, translation, scale}
+   */
+  solve(landmarks, width = 1, height = 1) {
+    const model = [];
+    const observed = [];
+
+    Object.keys(this.CANONICAL_FACE).forEach((index) => {
+      const point = landmarks[index];
+      if (!point) return;
+
+      model.push(this.CANONICAL_FACE[index]);
+      // MediaPipe scales z like x, so both use the image width
+      observed.push([
+        point.x * width,
+        point.y * height,
+        (point.z || 0) * width,
+      ]);
+    });
+
+    if (model.length < 3) return null;
+
+    return this.align(model, observed);
+  },
+
+  /**
+   * Find the similarity transform that best maps model points onto
+   * observed points: observed ≈ scale * R * model + translation
+   * @param {Array} model - Model points [[x, y, z], ...]
+   * @param {Array} observed - Observed points, same order and length
+   * @returns {Object|null} Pose {rotation, quaternion, euler, translation,
+   *   scale}, or null if either set is collinear and the roll about the line
+   *   can't be known
+   */
+  align(model, observed) {
+    const modelCentroid = this.centroid(model);
+    const observedCentroid = this.centroid(observed);
+    if (
+      this.isCollinear(model, modelCentroid) ||
+      this.isCollinear(observed, observedCentroid)
+    ) {
+      return null;
+    }
+
+    // Cross-covariance of the centred point sets
+    const S = [
+      [0, 0, 0],
+      [0, 0, 0],
+      [0, 0, 0],
+    ];
+    let modelSpread = 0;
+
+    model.forEach((m, i) => {
+      const a = this.subtract(m, modelCentroid);
+      const b = this.subtract(observed[i], observedCentroid);
+      for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+          S[r][c] += a[r] * b[c];
+        }
+      }
+      modelSpread += this.dot(a, a);
+    });
+
+    // Horn's symmetric 4x4 matrix; its top eigenvector is the rotation
+    const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+    const N = [
+      [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+      [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+      [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+      [xy - yx, zx + xz, yz + zy, -xx - yy + zz],
+    ];
+
+    const { values, vectors } = this.eigenSymmetric(N);
+    let best = 0;
+    for (let i = 1; i < 4; i++) {
+      if (values[i] > values[best]) best = i;
+    }
+
+    const q = vectors.map((row) => row[best]);
+    const length = Math.hypot(...q) || 1;
+    // Keep w non-negative so consecutive frames pick the same hemisphere
+    const sign = q[0] < 0 ? -1 : 1;
+    const quaternion = {
+      w: (sign * q[0]) / length,
+      x: (sign * q[1]) / length,
+      y: (sign * q[2]) / length,
+      z: (sign * q[3]) / length,
+    };
+
+    const rotation = this.quaternionToMatrix(quaternion);
+    const scale = modelSpread > 0 ? values[best] / modelSpread : 1;
+
+    const rotatedCentroid = this.multiply(rotation, modelCentroid);
+    const translation = {
+      x: observedCentroid[0] - scale * rotatedCentroid[0],
+      y: observedCentroid[1] - scale * rotatedCentroid[1],
+      z: observedCentroid[2] - scale * rotatedCentroid[2],
+    };
+
+    return {
+      rotation: rotation,
+      quaternion: quaternion,
+      euler: this.matrixToEuler(rotation),
+      translation: translation,
+      scale: scale,
+    };
+  },
+
+  /**
+   * Eigen-decompose a symmetric matrix with cyclic Jacobi rotations
+   * @param {Array} matrix - Symmetric n x n matrix
+   * @returns {Object} {values: eigenvalues, vectors: eigenvectors as columns}
+   */
+  eigenSymmetric(matrix) {
+    const n = matrix.length;
+    const a = matrix.map((row) => row.slice());
+    const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+      let offDiagonal = 0;
+      for (let p = 0; p < n; p++) {
+        for (let q = p + 1; q < n; q++) {
+          offDiagonal += a[p][q] * a[p][q];
+        }
+      }
+      if (offDiagonal < 1e-18) break;
+
+      for (let p = 0; p < n; p++) {
+        for (let q = p + 1; q < n; q++) {
+          if (Math.abs(a[p][q]) < 1e-30) continue;
+
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t =
+            Math.sign(theta || 1) /
+            (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const s = t * c;
+
+          for (let k = 0; k < n; k++) {
+            const akp = a[k][p];
+            const akq = a[k][q];
+            a[k][p] = c * akp - s * akq;
+            a[k][q] = s * akp + c * akq;
+          }
+          for (let k = 0; k < n; k++) {
+            const apk = a[p][k];
+            const aqk = a[q][k];
+            a[p][k] = c * apk - s * aqk;
+            a[q][k] = s * apk + c * aqk;
+          }
+          for (let k = 0; k < n; k++) {
+            const vkp = v[k][p];
+            const vkq = v[k][q];
+            v[k][p] = c * vkp - s * vkq;
+            v[k][q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+
+    return { values: a.map((row, i) => row[i]), vectors: v };
+  },
+
+  /**
+   * Convert a unit quaternion to a 3x3 rotation matrix
+   * @param {Object} q - Quaternion {x, y, z, w}
+   * @returns {Array} Row-major 3x3 matrix
+   */
+  quaternionToMatrix(q) {
+    const { x, y, z, w } = q;
+    return [
+      [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+      [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+      [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)],
+    ];
+  },
+
+  /**
+   * Decompose a rotation matrix into XYZ-order Euler angles (as Three.js does)
+   * @param {Array} m - Row-major 3x3 rotation matrix
+   * @returns {Object} Euler angles {x, y, z} in radians
+   */
+  matrixToEuler(m) {
+    const y = Math.asin(Math.min(Math.max(m[0][2], -1), 1));
+
+    if (Math.abs(m[0][2]) < 0.9999999) {
+      return {
+        x: Math.atan2(-m[1][2], m[2][2]),
+        y: y,
+        z: Math.atan2(-m[0][1], m[0][0]),
+      };
+    }
+
+    // Gimbal lock: roll is folded into pitch
+    return { x: Math.atan2(m[2][1], m[1][1]), y: y, z: 0 };
+  },
+
+  /**
+   * Check whether a point set lies on one line (or one point)
+   * @param {Array} points - Points [[x, y, z], ...]
+   * @param {Array} centroid - Their centroid
+   * @returns {boolean} True when the set spreads in fewer than two directions
+   */
+  isCollinear(points, centroid) {
+    const covariance = [
+      [0, 0, 0],
+      [0, 0, 0],
+      [0, 0, 0],
+    ];
+    points.forEach((p) => {
+      const d = this.subtract(p, centroid);
+      for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+          covariance[r][c] += d[r] * d[c];
+        }
+      }
+    });
+
+    const spreads = this.eigenSymmetric(covariance).values.sort(
+      (a, b) => b - a
+    );
+    return spreads[1] <= spreads[0] * this.COLLINEAR_RATIO;
+  },
+
+  /**
+   * Average of a point set
+   * @param {Array} points - Points [[x, y, z], ...]
+   * @returns {Array} Centroid [x, y, z]
+   */
+  centroid(points) {
+    const sum = points.reduce(
+      (acc, p) => [acc[0] + p[0], acc[1] + p[1], acc[2] + p[2]],
+      [0, 0, 0]
+    );
+    return sum.map((v) => v / points.length);
+  },
+
+  /**
+   * Vector difference a - b
+   * @param {Array} a - Vector [x, y, z]
+   * @param {Array} b - Vector [x, y, z]
+   * @returns {Array} Difference
+   */
+  subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  },
+
+  /**
+   * Dot product
+   * @param {Array} a - Vector [x, y, z]
+   * @param {Array} b - Vector [x, y, z]
+   * @returns {number} a · b
+   */
+  dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  },
+
+  /**
+   * Matrix-vector product
+   * @param {Array} m - Row-major 3x3 matrix
+   * @param {Array} v - Vector [x, y, z]
+   * @returns {Array} m * v
+   */
+  multiply(m, v) {
+    return m.map((row) => this.dot(row, v));
+  },
+};
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PoseSolver;
+}
@@ -0,0 +1,268 @@
+/**
+ * Secondary Motion
+ * Swings loose hat parts (feathers, pom-poms, tassels, chin straps) as the
+ * head moves. Each marked node or bone carries a spring-loaded tip particle
+ * that is integrated with Verlet steps in world space, so head movement and
+ * rotation drag it along; the node is then turned to point at its tip.
+ *
+ * Nodes are marked in the GLB with a `hatPhysics` extra (true, or
+ * {stiffness, damping, gravity, tip}) or by a name starting with "physics_".
+ */
+
+class SecondaryMotion {
+  constructor(root) {
+    this.root = root;
+    this.nodes = SecondaryMotion.findNodes(root).map((node) => ({
+      node: node,
+      options: SecondaryMotion.parseOptions(node.userData.hatPhysics),
+      restQuaternion: node.quaternion.clone(),
+      // Rotation last given to the node, to notice animation clips moving it
+      applied: node.quaternion.clone(),
+      tip: null,
+      position: new THREE.Vector3(),
+      previous: new THREE.Vector3(),
+    }));
+    this.nodes.forEach((state) => {
+      state.tip = SecondaryMotion.restTip(state.node, state.options);
+    });
+
+    // Fixed-step clock: unsimulated time carried between frames (s)
+    this.accumulator = 0;
+    this.lastTime = null;
+
+    // Scratch objects reused every step
+    this.origin = new THREE.Vector3();
+    this.rest = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();
+    this.acceleration = new THREE.Vector3();
+    this.direction = new THREE.Vector3();
+    this.scale = new THREE.Vector3();
+    this.parentQuaternion = new THREE.Quaternion();
+    this.parentInverse = new THREE.Quaternion();
+    this.swing = new THREE.Quaternion();
+  }
+
+  /**
+   * Check whether the hat has anything to simulate
+   * @returns {boolean} True when at least one node is marked
+   */
+  get hasNodes() {
+    return this.nodes.length > 0;
+  }
+
+  /**
+   * Advance the simulation to the current time. Call after the hat's pose
+   * has been set for the frame.
+   * @param {number} now - Render time (ms)
+   */
+  update(now) {
+    if (!this.hasNodes) return;
+
+    const isFirst = this.lastTime === null;
+    if (!isFirst) {
+      const elapsed = Math.min(now - this.lastTime, SecondaryMotion.MAX_FRAME);
+      this.accumulator += Math.max(elapsed, 0) / 1000;
+    }
+    this.lastTime = now;
+
+    const step = SecondaryMotion.STEP;
+    let steps = Math.floor(this.accumulator / step);
+    this.accumulator -= steps * step;
+    if (steps > SecondaryMotion.MAX_STEPS) {
+      // Too far behind to catch up; drop the backlog rather than stall
+      steps = SecondaryMotion.MAX_STEPS;
+      this.accumulator = 0;
+    }
+
+    // World size of one hat unit, so parameters hold in every camera mode
+    this.root.updateMatrixWorld();
+    const unit = this.root.getWorldScale(this.scale).x;
+
+    // Parents are visited before their children, so chains follow along
+    this.nodes.forEach((state) => {
+      const node = state.node;
+      // An animation clip posed the node; swing about its pose instead
+      if (!node.quaternion.equals(state.applied)) {
+        state.restQuaternion.copy(node.quaternion);
+      }
+      node.quaternion.copy(state.restQuaternion);
+      state.applied.copy(state.restQuaternion);
+      node.updateMatrixWorld();
+
+      this.origin.setFromMatrixPosition(node.matrixWorld);
+      this.rest.copy(state.tip).applyMatrix4(node.matrixWorld);
+      const length = this.origin.distanceTo(this.rest);
+      if (length === 0) return;
+
+      if (isFirst) {
+        state.position.copy(this.rest);
+        state.previous.copy(this.rest);
+        return;
+      }
+
+      for (let i = 0; i < steps; i++) {
+        this.step(state, length, unit);
+      }
+      this.aim(state);
+    });
+  }
+
+  /**
+   * Integrate one tip particle over one fixed step
+   * @param {Object} state - Node state
+   * @param {number} length - Distance from the node to its tip (world units)
+   * @param {number} unit - World size of one hat unit
+   */
+  step(state, length, unit) {
+    const dt = SecondaryMotion.STEP;
+    const { stiffness, damping, gravity } = state.options;
+
+    // Verlet: velocity is implied by the last two positions
+    this.velocity
+      .subVectors(state.position, state.previous)
+      .multiplyScalar(Math.max(1 - damping * dt, 0));
+
+    // Spring toward the rest tip, plus gravity straight down the screen
+    this.acceleration
+      .subVectors(this.rest, state.position)
+      .multiplyScalar(stiffness);
+    this.acceleration.y -= SecondaryMotion.GRAVITY * gravity * unit;
+
+    state.previous.copy(state.position);
+    state.position
+      .add(this.velocity)
+      .addScaledVector(this.acceleration, dt * dt);
+
+    // The part is rigid: keep the tip at its length from the node
+    state.position.sub(this.origin).setLength(length).add(this.origin);
+  }
+
+  /**
+   * Turn a node so its rest tip points at the simulated tip
+   * @param {Object} state - Node state
+   */
+  aim(state) {
+    const node = state.node;
+    const from = this.rest.sub(this.origin).normalize();
+    const to = this.direction.subVectors(state.position, this.origin);
+
+    // World-space swing, brought into the parent's frame
+    const swing = this.swing.setFromUnitVectors(from, to.normalize());
+    if (node.parent) {
+      node.parent.getWorldQuaternion(this.parentQuaternion);
+    } else {
+      this.parentQuaternion.identity();
+    }
+    this.parentInverse.copy(this.parentQuaternion).invert();
+    swing.premultiply(this.parentInverse).multiply(this.parentQuaternion);
+
+    node.quaternion.copy(swing).multiply(state.restQuaternion);
+    state.applied.copy(node.quaternion);
+    node.updateMatrixWorld();
+  }
+
+  /**
+   * Put every part back at rest, e.g. after the head jumped on re-acquire
+   */
+  reset() {
+    this.nodes.forEach((state) => {
+      state.node.quaternion.copy(state.restQuaternion);
+      state.applied.copy(state.restQuaternion);
+    });
+    this.accumulator = 0;
+    this.lastTime = null;
+  }
+
+  /**
+   * Find the nodes a hat marks for simulation
+   * @param {THREE.Object3D} root - Hat model or group
+   * @returns {Array<THREE.Object3D>} Marked nodes, parents before children
+   */
+  static findNodes(root) {
+    const nodes = [];
+    root.traverse((child) => {
+      if (
+        child.userData.hatPhysics ||
+        SecondaryMotion.NAME_PATTERN.test(child.name)
+      ) {
+        nodes.push(child);
+      }
+    });
+    return nodes;
+  }
+
+  /**
+   * Fill in a node's simulation parameters
+   * @param {Object|boolean} raw - The node's hatPhysics extra
+   * @returns {Object} {stiffness, damping, gravity, tip}
+   */
+  static parseOptions(raw) {
+    const options = { ...SecondaryMotion.DEFAULTS, tip: null };
+    if (!raw || typeof raw !== "object") return options;
+
+    ["stiffness", "damping", "gravity"].forEach((key) => {
+      if (typeof raw[key] === "number" && raw[key] >= 0) {
+        options[key] = raw[key];
+      }
+    });
+    if (
+      Array.isArray(raw.tip) &&
+      raw.tip.length === 3 &&
+      raw.tip.every((v) => isFinite(v))
+    ) {
+      options.tip = raw.tip.map(Number);
+    }
+    return options;
+  }
+
+  /**
+   * Where a node's tip rests, in the node's own space: the declared tip,
+   * else its first child (the next bone), else the middle of its mesh
+   * @param {THREE.Object3D} node - Marked node
+   * @param {Object} options - Parsed options
+   * @returns {THREE.Vector3} Tip position
+   */
+  static restTip(node, options) {
+    if (options.tip) {
+      return new THREE.Vector3(...options.tip);
+    }
+    if (node.children.length > 0) {
+      return node.children[0].position.clone();
+    }
+    if (node.geometry) {
+      if (!node.geometry.boundingBox) {
+        node.geometry.computeBoundingBox();
+      }
+      const center = node.geometry.boundingBox.getCenter(new THREE.Vector3());
+      if (center.lengthSq() > 0) return center;
+    }
+    return new THREE.Vector3(0, -1, 0);
+  }
+}
+
+// Simulation step (s); fixed, so swinging doesn't depend on the frame rate
+SecondaryMotion.STEP = 1 / 120;
+
+// Most steps run in one frame, and the longest frame gap simulated (ms)
+SecondaryMotion.MAX_STEPS = 12;
+SecondaryMotion.MAX_FRAME = 100;
+
+// Downward pull in hat units per second squared; one hat unit is a head
+// width, about 18 cm
+SecondaryMotion.GRAVITY = 50;
+
+// Parameters for nodes that don't set their own: spring toward rest (1/s²),
+// velocity loss (1/s) and gravity multiplier
+SecondaryMotion.DEFAULTS = {
+  stiffness: 300,
+  damping: 6,
+  gravity: 0.5,
+};
+
+// Node names that mark a part for simulation without extras
+SecondaryMotion.NAME_PATTERN = /^physics_/i;
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SecondaryMotion;
+}
@@ -0,0 +1,288 @@
+/**
+ * Settings Store
+ * localStorage persistence for per-hat fit settings (including material
+ * customizations) and named fit presets.
+ * Storage failures (private browsing, quota) are swallowed so settings just
+ * don't stick.
+ */
+
+class SettingsStore {
+  constructor(storage = SettingsStore.defaultStorage()) {
+    this.storage = storage;
+  }
+
+  /**
+   * Read a stored JSON value
+   * @param {string} name - Key, without the app prefix
+   * @param {*} fallback - Value returned when missing or unreadable
+   * @returns {*} Stored value
+   */
+  read(name, fallback = null) {
+    if (!this.storage) return fallback;
+
+    try {
+      const raw = this.storage.getItem(SettingsStore.PREFIX + name);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Store a JSON value
+   * @param {string} name - Key, without the app prefix
+   * @param {*} value - JSON-serializable value
+   */
+  write(name, value) {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(SettingsStore.PREFIX + name, JSON.stringify(value));
+    } catch (error) {
+      console.warn("SettingsStore: Could not save", name, error);
+    }
+  }
+
+  /**
+   * Read the saved fits of every hat
+   * @returns {Object} Catalog item id to fit settings; empty if what is
+   *   stored isn't such a map
+   */
+  readHats() {
+    const hats = this.read("hats", {});
+    return hats && typeof hats === "object" && !Array.isArray(hats) ? hats : {};
+  }
+
+  /**
+   * Get the saved fit for a hat
+   * @param {string} hatId - Catalog item id
+   * @returns {Object|null} Fit settings, or null if never adjusted
+   */
+  getHatSettings(hatId) {
+    const saved = this.readHats()[hatId];
+    return saved ? SettingsStore.pickFit(saved) : null;
+  }
+
+  /**
+   * Save the fit for a hat
+   * @param {string} hatId - Catalog item id
+   * @param {Object} settings - Renderer settings; only fit keys are kept
+   */
+  setHatSettings(hatId, settings) {
+    const hats = this.readHats();
+    hats[hatId] = SettingsStore.pickFit(settings);
+    this.write("hats", hats);
+  }
+
+  /**
+   * Forget the saved fit for a hat
+   * @param {string} hatId - Catalog item id
+   */
+  clearHatSettings(hatId) {
+    const hats = this.readHats();
+    delete hats[hatId];
+    this.write("hats", hats);
+  }
+
+  /**
+   * Get all fit presets
+   * @returns {Array} Presets as {name, hatId, settings}, sorted by name
+   */
+  getPresets() {
+    const presets = this.read("presets", []);
+    if (!Array.isArray(presets)) return [];
+
+    return presets
+      .map(SettingsStore.normalizePreset)
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get one fit preset
+   * @param {string} name - Preset name
+   * @returns {Object|null} Preset
+   */
+  getPreset(name) {
+    return this.getPresets().find((preset) => preset.name === name) || null;
+  }
+
+  /**
+   * Save a fit preset, replacing any preset with the same name
+   * @param {string} name - Preset name, e.g. "Alice – fedora"
+   * @param {string} hatId - Catalog item id the fit belongs to
+   * @param {Object} settings - Renderer settings; only fit keys are kept
+   * @returns {Object} Saved preset
+   */
+  savePreset(name, hatId, settings) {
+    const preset = SettingsStore.normalizePreset({ name, hatId, settings });
+    if (!preset) {
+      throw new Error("Preset needs a name");
+    }
+
+    this.writePresets([preset]);
+    return preset;
+  }
+
+  /**
+   * Delete a fit preset
+   * @param {string} name - Preset name
+   */
+  deletePreset(name) {
+    this.write(
+      "presets",
+      this.getPresets().filter((preset) => preset.name !== name)
+    );
+  }
+
+  /**
+   * Merge presets into the stored list; incoming presets win on name clashes
+   * @param {Array} presets - Normalized presets
+   */
+  writePresets(presets) {
+    const names = new Set(presets.map((preset) => preset.name));
+    const kept = this.getPresets().filter((preset) => !names.has(preset.name));
+    this.write("presets", kept.concat(presets));
+  }
+
+  /**
+   * Serialize all presets for download
+   * @returns {string} JSON document
+   */
+  exportPresets() {
+    return JSON.stringify(
+      { version: SettingsStore.VERSION, presets: this.getPresets() },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Import presets from an exported JSON document
+   * @param {string} json - Output of exportPresets (or a bare preset array)
+   * @returns {number} Number of presets imported
+   */
+  importPresets(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error("Preset file is not valid JSON");
+    }
+
+    const list = Array.isArray(data) ? data : data && data.presets;
+    if (!Array.isArray(list)) {
+      throw new Error("Preset file has no presets list");
+    }
+
+    const presets = list.map(SettingsStore.normalizePreset).filter(Boolean);
+    this.writePresets(presets);
+    return presets.length;
+  }
+
+  /**
+   * Keep only the numeric fit settings and material customizations
+   * @param {Object} settings - Settings object
+   * @returns {Object} Fit settings
+   */
+  static pickFit(settings) {
+    const fit = {};
+    SettingsStore.FIT_KEYS.forEach((key) => {
+      const value = settings[key];
+      if (typeof value === "number" && isFinite(value)) {
+        fit[key] = value;
+      }
+    });
+
+    if (settings.materials && typeof settings.materials === "object") {
+      fit.materials = SettingsStore.pickMaterials(settings.materials);
+    }
+    return fit;
+  }
+
+  /**
+   * Validate material customizations
+   * @param {Object} materials - Material name to {color, roughness,
+   *   metalness, texture}
+   * @returns {Object} Customizations with only well-formed values
+   */
+  static pickMaterials(materials) {
+    const picked = {};
+    Object.entries(materials).forEach(([name, custom]) => {
+      if (!custom || typeof custom !== "object") return;
+
+      const material = {};
+      if (/^#[0-9a-f]{6}$/i.test(custom.color)) {
+        material.color = custom.color.toLowerCase();
+      }
+      ["roughness", "metalness"].forEach((key) => {
+        const value = custom[key];
+        if (typeof value === "number" && value >= 0 && value <= 1) {
+          material[key] = value;
+        }
+      });
+      if (typeof custom.texture === "string" && custom.texture) {
+        material.texture = custom.texture;
+      }
+
+      if (Object.keys(material).length > 0) {
+        picked[name] = material;
+      }
+    });
+    return picked;
+  }
+
+  /**
+   * Validate a preset
+   * @param {Object} preset - Raw preset
+   * @returns {Object|null} {name, hatId, settings}, or null if unusable
+   */
+  static normalizePreset(preset) {
+    if (!preset || typeof preset.name !== "string") return null;
+
+    const name = preset.name.trim();
+    if (!name) return null;
+
+    return {
+      name: name,
+      hatId: typeof preset.hatId === "string" ? preset.hatId : null,
+      settings: SettingsStore.pickFit(preset.settings || {}),
+    };
+  }
+
+  /**
+   * Get localStorage if the browser allows it
+   * @returns {Storage|null} Storage
+   */
+  static defaultStorage() {
+    try {
+      return typeof localStorage !== "undefined" ? localStorage : null;
+    } catch (error) {
+      // Accessing localStorage throws when storage is blocked
+      return null;
+    }
+  }
+}
+
+// Prefix for every key this app stores
+SettingsStore.PREFIX = "hatar.";
+
+// Preset file format version
+SettingsStore.VERSION = 1;
+
+// Settings saved per hat and in presets
+SettingsStore.FIT_KEYS = ["scale", "yOffset", "zOffset", "smoothing"];
+
+// Fit used when neither the user nor the catalog sets one
+SettingsStore.DEFAULT_FIT = {
+  scale: 1.0,
+  yOffset: 0,
+  zOffset: 0,
+  smoothing: 0.5,
+  materials: {},
+};
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SettingsStore;
+}
@@ -0,0 +1,388 @@
+/**
+ * Smoothing filters for tracked hat poses
+ * Scalar/vector filters for position and scale, and slerp-based filters for
+ * rotation quaternions. All filters are timestamp-driven and DOM-free so they
+ * can be replayed against recorded landmark traces.
+ */
+
+const Smoothing = {
+  /** Available strategies, in panel order */
+  STRATEGIES: {
+    exponential: "Exponential",
+    oneEuro: "One Euro",
+    kalman: "Kalman",
+  },
+
+  /** Frame interval assumed when timestamps are missing or repeat (ms) */
+  DEFAULT_FRAME_MS: 1000 / 30,
+
+  /**
+   * Time step between two timestamps, in seconds
+   * @param {number|null} previous - Previous timestamp (ms)
+   * @param {number} current - Current timestamp (ms)
+   * @returns {number} Positive time step in seconds
+   */
+  timeStep(previous, current) {
+    const ms = previous === null ? 0 : current - previous;
+    return (ms > 0 ? ms : this.DEFAULT_FRAME_MS) / 1000;
+  },
+
+  /**
+   * Low-pass blend factor for a cutoff frequency
+   * @param {number} cutoff - Cutoff frequency (Hz)
+   * @param {number} dt - Time step (s)
+   * @returns {number} Blend factor (0-1), 1 = follow input
+   */
+  alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  },
+
+  /**
+   * Map the panel's smoothing strength onto a strategy's parameters.
+   * Values are tuned for positions in normalized image units.
+   * @param {string} strategy - Strategy key
+   * @param {number} strength - Smoothing strength (0-0.9)
+   * @returns {Object} Filter options
+   */
+  paramsFor(strategy, strength) {
+    const t = Math.min(Math.max(strength / 0.9, 0), 1);
+
+    switch (strategy) {
+      case "oneEuro":
+        return {
+          minCutoff: 6 - 5.5 * t, // Hz when still
+          beta: 20, // Extra cutoff per normalized unit/s of speed
+          dCutoff: 1,
+          rotationBeta: 2, // Extra cutoff per rad/s of angular speed
+        };
+      case "kalman":
+        return {
+          processNoise: 5, // Acceleration variance
+          measurementNoise: Math.pow(0.002 + 0.02 * t, 2),
+          rotationProcessNoise: 0.02, // Angle variance growth (rad²/s)
+          rotationMeasurementNoise: Math.pow(0.005 + 0.05 * t, 2),
+        };
+      default:
+        return { factor: strength };
+    }
+  },
+
+  /**
+   * Exponential smoothing with a fixed factor (the original Utils.smooth)
+   */
+  ExponentialFilter: class {
+    constructor(options = {}) {
+      this.configure(options);
+      this.reset();
+    }
+
+    configure(options) {
+      this.factor = options.factor !== undefined ? options.factor : 0.5;
+    }
+
+    reset() {
+      this.value = null;
+    }
+
+    filter(value) {
+      this.value =
+        this.value === null
+          ? value
+          : this.value * this.factor + value * (1 - this.factor);
+      return this.value;
+    }
+  },
+
+  /**
+   * One Euro filter: low lag on fast motion, low jitter when still.
+   * Casiez et al., "1€ Filter", CHI 2012.
+   */
+  OneEuroFilter: class {
+    constructor(options = {}) {
+      this.configure(options);
+      this.reset();
+    }
+
+    configure(options) {
+      this.minCutoff = options.minCutoff || 1;
+      this.beta = options.beta || 0;
+      this.dCutoff = options.dCutoff || 1;
+    }
+
+    reset() {
+      this.value = null;
+      this.derivative = 0;
+      this.timestamp = null;
+    }
+
+    filter(value, timestamp) {
+      const dt = Smoothing.timeStep(this.timestamp, timestamp);
+      this.timestamp = timestamp;
+
+      if (this.value === null) {
+        this.value = value;
+        return value;
+      }
+
+      const rawDerivative = (value - this.value) / dt;
+      const dAlpha = Smoothing.alpha(this.dCutoff, dt);
+      this.derivative += dAlpha * (rawDerivative - this.derivative);
+
+      const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+      this.value += Smoothing.alpha(cutoff, dt) * (value - this.value);
+      return this.value;
+    }
+  },
+
+  /**
+   * Constant-velocity Kalman filter for one coordinate
+   */
+  KalmanFilter: class {
+    constructor(options = {}) {
+      this.configure(options);
+      this.reset();
+    }
+
+    configure(options) {
+      this.processNoise = options.processNoise || 1;
+      this.measurementNoise = options.measurementNoise || 1e-4;
+    }
+
+    reset() {
+      this.value = null;
+      this.velocity = 0;
+      // Covariance [[pxx, pxv], [pxv, pvv]]
+      this.pxx = 1;
+      this.pxv = 0;
+      this.pvv = 1;
+      this.timestamp = null;
+    }
+
+    filter(value, timestamp) {
+      const dt = Smoothing.timeStep(this.timestamp, timestamp);
+      this.timestamp = timestamp;
+
+      if (this.value === null) {
+        this.value = value;
+        this.pxx = this.measurementNoise;
+        return value;
+      }
+
+      // Predict
+      const q = this.processNoise;
+      this.value += this.velocity * dt;
+      const pxx =
+        this.pxx + 2 * dt * this.pxv + dt * dt * this.pvv + (q * dt ** 4) / 4;
+      const pxv = this.pxv + dt * this.pvv + (q * dt ** 3) / 2;
+      const pvv = this.pvv + q * dt * dt;
+
+      // Update
+      const innovation = value - this.value;
+      const s = pxx + this.measurementNoise;
+      const kx = pxx / s;
+      const kv = pxv / s;
+
+      this.value += kx * innovation;
+      this.velocity += kv * innovation;
+      this.pxx = (1 - kx) * pxx;
+      this.pxv = (1 - kx) * pxv;
+      this.pvv = pvv - kv * pxv;
+
+      return this.value;
+    }
+  },
+
+  /**
+   * Applies one scalar filter per component of an {x, y, z} vector
+   */
+  VectorFilter: class {
+    constructor(FilterClass, options) {
+      this.filters = ["x", "y", "z"].map(() => new FilterClass(options));
+    }
+
+    configure(options) {
+      this.filters.forEach((f) => f.configure(options));
+    }
+
+    reset() {
+      this.filters.forEach((f) => f.reset());
+    }
+
+    filter(vector, timestamp) {
+      return {
+        x: this.filters[0].filter(vector.x, timestamp),
+        y: this.filters[1].filter(vector.y, timestamp),
+        z: this.filters[2].filter(vector.z, timestamp),
+      };
+    }
+  },
+
+  /**
+   * Rotation filter that slerps toward each new quaternion. The blend factor
+   * comes from the strategy: fixed (exponential), speed-adaptive (One Euro)
+   * or the gain of a random-walk Kalman filter on the angle.
+   */
+  QuaternionFilter: class {
+    constructor(strategy, options = {}) {
+      this.strategy = strategy;
+      this.configure(options);
+      this.reset();
+    }
+
+    configure(options) {
+      this.options = options;
+    }
+
+    reset() {
+      this.value = null;
+      this.angularSpeed = 0;
+      this.variance = 1;
+      this.timestamp = null;
+    }
+
+    filter(target, timestamp) {
+      const dt = Smoothing.timeStep(this.timestamp, timestamp);
+      this.timestamp = timestamp;
+
+      if (this.value === null) {
+        this.value = Smoothing.normalizeQuaternion(target);
+        return this.value;
+      }
+
+      const angle = Smoothing.quaternionAngle(this.value, target);
+      const t = this.blendFactor(angle, dt);
+      this.value = Smoothing.slerp(this.value, target, t);
+      return this.value;
+    }
+
+    blendFactor(angle, dt) {
+      const o = this.options;
+
+      switch (this.strategy) {
+        case "oneEuro": {
+          const dAlpha = Smoothing.alpha(o.dCutoff || 1, dt);
+          this.angularSpeed += dAlpha * (angle / dt - this.angularSpeed);
+          const cutoff = o.minCutoff + o.rotationBeta * this.angularSpeed;
+          return Smoothing.alpha(cutoff, dt);
+        }
+        case "kalman": {
+          this.variance += o.rotationProcessNoise * dt;
+          const gain =
+            this.variance / (this.variance + o.rotationMeasurementNoise);
+          this.variance *= 1 - gain;
+          return gain;
+        }
+        default:
+          return 1 - o.factor;
+      }
+    }
+  },
+
+  /**
+   * All the filters one tracked hat needs
+   */
+  PoseFilter: class {
+    constructor(strategy = "oneEuro", strength = 0.5) {
+      this.strategy = Smoothing.STRATEGIES[strategy] ? strategy : "oneEuro";
+
+      const FilterClass = {
+        exponential: Smoothing.ExponentialFilter,
+        oneEuro: Smoothing.OneEuroFilter,
+        kalman: Smoothing.KalmanFilter,
+      }[this.strategy];
+      const options = Smoothing.paramsFor(this.strategy, strength);
+
+      this.position = new Smoothing.VectorFilter(FilterClass, options);
+      this.scale = new FilterClass(options);
+      this.rotation = new Smoothing.QuaternionFilter(this.strategy, options);
+    }
+
+    /**
+     * Change smoothing strength without losing filter state
+     * @param {number} strength - Smoothing strength (0-0.9)
+     */
+    configure(strength) {
+      const options = Smoothing.paramsFor(this.strategy, strength);
+      this.position.configure(options);
+      this.scale.configure(options);
+      this.rotation.configure(options);
+    }
+
+    reset() {
+      this.position.reset();
+      this.scale.reset();
+      this.rotation.reset();
+    }
+  },
+
+  /**
+   * Normalize a quaternion
+   * @param {Object} q - Quaternion {x, y, z, w}
+   * @returns {Object} Unit quaternion
+   */
+  normalizeQuaternion(q) {
+    const length = Math.hypot(q.x, q.y, q.z, q.w) || 1;
+    return {
+      x: q.x / length,
+      y: q.y / length,
+      z: q.z / length,
+      w: q.w / length,
+    };
+  },
+
+  /**
+   * Angle between two rotations
+   * @param {Object} a - Unit quaternion
+   * @param {Object} b - Unit quaternion
+   * @returns {number} Angle in radians (0-π)
+   */
+  quaternionAngle(a, b) {
+    const dot = Math.abs(a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w);
+    return 2 * Math.acos(Math.min(dot, 1));
+  },
+
+  /**
+   * Spherical interpolation along the shortest arc
+   * @param {Object} a - Start unit quaternion
+   * @param {Object} b - End unit quaternion
+   * @param {number} t - Interpolation factor (0-1)
+   * @returns {Object} Interpolated unit quaternion
+   */
+  slerp(a, b, t) {
+    let dot = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+
+    // q and -q are the same rotation; take the short way round
+    let sign = 1;
+    if (dot < 0) {
+      dot = -dot;
+      sign = -1;
+    }
+
+    let wa;
+    let wb;
+    if (dot > 0.9995) {
+      // Nearly parallel: linear blend avoids dividing by sin(0)
+      wa = 1 - t;
+      wb = t;
+    } else {
+      const theta = Math.acos(dot);
+      const sinTheta = Math.sin(theta);
+      wa = Math.sin((1 - t) * theta) / sinTheta;
+      wb = Math.sin(t * theta) / sinTheta;
+    }
+    wb *= sign;
+
+    return this.normalizeQuaternion({
+      x: wa * a.x + wb * b.x,
+      y: wa * a.y + wb * b.y,
+      z: wa * a.z + wb * b.z,
+      w: wa * a.w + wb * b.w,
+    });
+  },
+};
+
+// Export for module use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Smoothing;
+}
@@ -0,0 +1,150 @@
+/**
+ * Writes test/fixtures/head-turn.json, a landmark session of one head
+ * turning, nodding, tilting and coming closer, and head-turn.expected.json
+ * beside it, the transforms the pipeline should recover from it. The motion
+ * is known exactly, so the expectations come from it rather than from a run
+ * of the code under test.
+ *
+ *   node scripts/make-head-turn.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const PoseSolver = require("../js/pose-solver.js");
+const LandmarkRecorder = require("../js/landmark-recorder.js");
+
+const FIXTURES = path.join(__dirname, "..", "test", "fixtures");
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+const FPS = 10;
+const SECONDS = 3;
+
+// Face-mesh size; landmarks the pipeline doesn't read stay at the origin so
+// the file stays small
+const LANDMARK_COUNT = 468;
+
+// The canonical face plus the other landmarks the pipeline reads, in the
+// same centimetre space (x right, y down, z away from the camera)
+const FACE = {
+  ...PoseSolver.CANONICAL_FACE,
+  127: [-6.9, -4.6, 6.0], // Image-left temple
+  356: [6.9, -4.6, 6.0], // Image-right temple
+  13: [0, 2.6, 1.2], // Upper lip
+  14: [0, 3.2, 1.3], // Lower lip
+  78: [-2.1, 3.0, 2.2], // Image-left inner mouth corner
+  308: [2.1, 3.0, 2.2], // Image-right inner mouth corner
+  105: [-3.3, -5.4, 2.0], // Image-left brow
+  334: [3.3, -5.4, 2.0], // Image-right brow
+  159: [-3.0, -3.8, 2.2], // Image-left upper lid
+  145: [-3.0, -2.9, 2.2], // Image-left lower lid
+  386: [3.0, -3.8, 2.2], // Image-right upper lid
+  374: [3.0, -2.9, 2.2], // Image-right lower lid
+};
+
+/**
+ * Head pose at a time
+ * @param {number} t - Time (s)
+ * @returns {Object} {quaternion, scale (px per cm), translation [x, y, z] px}
+ */
+function poseAt(t) {
+  const phase = (2 * Math.PI * t) / SECONDS;
+  const yaw = 0.5 * Math.sin(phase);
+  const pitch = 0.25 * Math.sin(2 * phase);
+  const roll = 0.15 * (t / SECONDS - 0.5);
+
+  // Intrinsic X (pitch), then Y (yaw), then Z (roll)
+  const half = (a) => [Math.cos(a / 2), Math.sin(a / 2)];
+  const [cx, sx] = half(pitch);
+  const [cy, sy] = half(yaw);
+  const [cz, sz] = half(roll);
+  const quaternion = {
+    x: sx * cy * cz + cx * sy * sz,
+    y: cx * sy * cz - sx * cy * sz,
+    z: cx * cy * sz + sx * sy * cz,
+    w: cx * cy * cz - sx * sy * sz,
+  };
+
+  return {
+    quaternion,
+    scale: 9 + t,
+    translation: [560 + 60 * t, 400 - 20 * t, 0],
+  };
+}
+
+/**
+ * Normalized landmarks for a pose
+ * @param {Object} pose - From poseAt
+ * @returns {Array} Landmarks {x, y, z}
+ */
+function landmarksFor(pose) {
+  const rotation = PoseSolver.quaternionToMatrix(pose.quaternion);
+  const landmarks = Array.from({ length: LANDMARK_COUNT }, () => ({
+    x: 0,
+    y: 0,
+    z: 0,
+  }));
+  Object.entries(FACE).forEach(([index, point]) => {
+    const [x, y, z] = PoseSolver.multiply(rotation, point).map(
+      (v, i) => pose.scale * v + pose.translation[i]
+    );
+    // MediaPipe scales z like x
+    landmarks[index] = { x: x / WIDTH, y: y / HEIGHT, z: z / WIDTH };
+  });
+  return landmarks;
+}
+
+const recorder = new LandmarkRecorder();
+recorder.start({ mirrored: true });
+const expected = [];
+
+for (let i = 0; i <= SECONDS * FPS; i++) {
+  const t = i / FPS;
+  const pose = poseAt(t);
+  const landmarks = landmarksFor(pose);
+  recorder.record([landmarks], t * 1000, { width: WIDTH, height: HEIGHT });
+
+  const forehead = landmarks[10];
+  const chin = landmarks[152];
+  const leftTemple = landmarks[127];
+  const rightTemple = landmarks[356];
+  const q = pose.quaternion;
+  const sign = q.w < 0 ? -1 : 1;
+  expected.push({
+    t: t * 1000,
+    // Above the forehead by a share of the forehead-chin height
+    headTop: {
+      x: forehead.x,
+      y: forehead.y - (chin.y - forehead.y) * 0.3,
+      z: forehead.z,
+    },
+    faceWidth: Math.hypot(
+      rightTemple.x - leftTemple.x,
+      rightTemple.y - leftTemple.y,
+      rightTemple.z - leftTemple.z
+    ),
+    scale: pose.scale,
+    quaternion: {
+      x: sign * q.x,
+      y: sign * q.y,
+      z: sign * q.z,
+      w: sign * q.w,
+    },
+  });
+}
+
+// The head leaves the frame at the end
+recorder.record([], (SECONDS + 1 / FPS) * 1000, {
+  width: WIDTH,
+  height: HEIGHT,
+});
+
+fs.writeFileSync(
+  path.join(FIXTURES, "head-turn.json"),
+  LandmarkRecorder.serialize(recorder.stop())
+);
+fs.writeFileSync(
+  path.join(FIXTURES, "head-turn.expected.json"),
+  JSON.stringify(expected, null, 2) + "\n"
+);
@@ -0,0 +1,47 @@
+#!/usr/bin/env bash
+# Download local copies of MediaPipe Face Mesh, Selfie Segmentation and
+# Three.js into vendor/ so
+# the app can run without network access. Needs npm (registry access only).
+set -euo pipefail
+
+FACE_MESH_VERSION="0.4.1657299874"
+SELFIE_SEGMENTATION_VERSION="0.1.1675465747"
+CAMERA_UTILS_VERSION="0.3.1675466862"
+THREE_VERSION="0.157.0"
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+VENDOR="$ROOT/vendor"
+WORK="$(mktemp -d)"
+trap 'rm -rf "$WORK"' EXIT
+
+unpack() {
+  local spec="$1" dest="$2"
+  local tarball
+  tarball="$(cd "$WORK" && npm pack --silent "$spec")"
+  mkdir -p "$WORK/$dest"
+  tar -xzf "$WORK/$tarball" -C "$WORK/$dest" --strip-components=1
+}
+
+unpack "@mediapipe/face_mesh@$FACE_MESH_VERSION" face_mesh
+unpack "@mediapipe/selfie_segmentation@$SELFIE_SEGMENTATION_VERSION" \
+  selfie_segmentation
+unpack "@mediapipe/camera_utils@$CAMERA_UTILS_VERSION" camera_utils
+unpack "three@$THREE_VERSION" three
+
+rm -rf "$VENDOR"
+mkdir -p "$VENDOR/mediapipe/face_mesh" "$VENDOR/mediapipe/camera_utils" \
+  "$VENDOR/mediapipe/selfie_segmentation" \
+  "$VENDOR/three/build" "$VENDOR/three/examples/jsm/loaders" \
+  "$VENDOR/three/examples/jsm/utils"
+
+cp "$WORK"/face_mesh/*.{js,wasm,data,binarypb} "$VENDOR/mediapipe/face_mesh/"
+cp "$WORK"/selfie_segmentation/*.{js,wasm,data,binarypb,tflite} \
+  "$VENDOR/mediapipe/selfie_segmentation/"
+cp "$WORK/camera_utils/camera_utils.js" "$VENDOR/mediapipe/camera_utils/"
+cp "$WORK/three/build/three.module.js" "$VENDOR/three/build/"
+cp "$WORK/three/examples/jsm/loaders/GLTFLoader.js" \
+  "$VENDOR/three/examples/jsm/loaders/"
+cp "$WORK"/three/examples/jsm/utils/{BufferGeometryUtils,SkeletonUtils}.js \
+  "$VENDOR/three/examples/jsm/utils/"
+
+echo "Vendored assets written to $VENDOR"
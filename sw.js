@@ -0,0 +1,88 @@
+/**
+ * Service worker
+ * Precaches the app, vendored libraries and hat models so the app runs
+ * offline. The app's own files are served network-first, so an online kiosk
+ * always runs the current code; everything else is served cache-first.
+ */
+
+importScripts("js/offline-assets.js");
+
+// Absolute URLs of the app's own files
+const APP_URLS = new Set(
+  OfflineAssets.APP.map((path) => new URL(path, self.registration.scope).href)
+);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(OfflineAssets.VERSION);
+      await cache.addAll(OfflineAssets.APP.concat(OfflineAssets.VENDOR));
+
+      // Models are whatever the catalog lists
+      const response = await fetch(OfflineAssets.CATALOG, {
+        cache: "no-cache",
+      });
+      if (response.ok) {
+        await cache.put(OfflineAssets.CATALOG, response.clone());
+        const manifest = await response.json();
+        await cache.addAll(OfflineAssets.catalogFiles(manifest));
+      }
+
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(
+        keys
+          .filter((key) => key !== OfflineAssets.VERSION)
+          .map((key) => caches.delete(key))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET" && request.method !== "HEAD") return;
+
+  const url = new URL(request.url);
+  url.search = "";
+  const isApp = request.mode === "navigate" || APP_URLS.has(url.href);
+
+  event.respondWith(
+    (async () => {
+      const cache = await caches.open(OfflineAssets.VERSION);
+
+      if (!isApp) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+      }
+
+      try {
+        const response = await fetch(request);
+        // Keep the cached app current for the next offline start
+        if (isApp && request.method === "GET" && response.ok) {
+          await cache.put(url.href, response.clone());
+        }
+        return response;
+      } catch (error) {
+        if (isApp) {
+          const cached = await cache.match(request, { ignoreSearch: true });
+          if (cached) return cached;
+        }
+        // Offline navigation falls back to the cached app shell
+        if (request.mode === "navigate") {
+          const shell = await cache.match("index.html");
+          if (shell) return shell;
+        }
+        throw error;
+      }
+    })()
+  );
+});
@@ -0,0 +1,54 @@
+// Shared by the test files; node --test runs it too, harmlessly, as it has
+// no tests of its own
+
+/**
+ * Deterministic noise in [-1, 1], so failures reproduce
+ * @param {number} seed - Starting seed
+ * @returns {Function} Generator
+ */
+function noise(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return (state / 2147483648) * 2 - 1;
+  };
+}
+
+/**
+ * Quaternion for a rotation about an axis
+ * @param {Array} axis - Axis [x, y, z], any length
+ * @param {number} angle - Angle in radians
+ * @returns {Object} Unit quaternion {x, y, z, w}
+ */
+function axisAngle(axis, angle) {
+  const length = Math.hypot(...axis);
+  const s = Math.sin(angle / 2) / length;
+  return {
+    x: axis[0] * s,
+    y: axis[1] * s,
+    z: axis[2] * s,
+    w: Math.cos(angle / 2),
+  };
+}
+
+/**
+ * Flip a quaternion to its other sign, the same rotation
+ * @param {Object} q - Quaternion
+ * @returns {Object} -q
+ */
+function negate(q) {
+  return { x: -q.x, y: -q.y, z: -q.z, w: -q.w };
+}
+
+/**
+ * Angle between two rotations
+ * @param {Object} a - Unit quaternion
+ * @param {Object} b - Unit quaternion
+ * @returns {number} Radians
+ */
+function angleBetween(a, b) {
+  const dot = Math.abs(a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w);
+  return 2 * Math.acos(Math.min(dot, 1));
+}
+
+module.exports = { noise, axisAngle, negate, angleBetween };
@@ -0,0 +1,271 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+// The scripts expect each other as page globals. Hats are posed on a stub of
+// three.js, and their WebGL helpers accept every call and draw nothing.
+global.THREE = require("./three-stub.js");
+global.window = { devicePixelRatio: 1 };
+global.HeadProxy = inert();
+global.ContactShadow = inert();
+global.SecondaryMotion = inert();
+global.HatAnimator = inert();
+global.HatMaterials = { apply() {} };
+global.SkeletonUtils = { clone: (object) => object.clone() };
+global.Utils = require("../js/utils.js");
+global.Smoothing = require("../js/smoothing.js");
+global.PoseSolver = require("../js/pose-solver.js");
+global.FaceTracker = require("../js/face-tracker.js");
+global.FaceEvents = require("../js/face-events.js");
+const MediaPipeHandler = require("../js/mediapipe-handler.js");
+const LandmarkReplay = require("../js/landmark-replay.js");
+global.HatInstance = require("../js/hat-instance.js");
+const HatRenderer = require("../js/hat-renderer.js");
+const { angleBetween } = require("./helpers.js");
+
+// head-turn.json is synthetic: scripts/make-head-turn.js records a face
+// model moved along a known path, so the expected transforms are exact
+const FIXTURES = path.join(__dirname, "fixtures");
+
+/**
+ * Stand-in for a class whose methods all do nothing
+ * @returns {Function} Class
+ */
+function inert() {
+  return class {
+    constructor() {
+      return new Proxy(this, {
+        get: (target, key) => (key in target ? target[key] : () => {}),
+      });
+    }
+  };
+}
+
+/**
+ * Load a recorded session and the transforms expected from it
+ * @param {string} name - Fixture name
+ * @returns {Object} {session, expected}
+ */
+function loadFixture(name) {
+  return {
+    session: LandmarkReplay.parse(
+      fs.readFileSync(path.join(FIXTURES, `${name}.json`), "utf8")
+    ),
+    expected: JSON.parse(
+      fs.readFileSync(path.join(FIXTURES, `${name}.expected.json`), "utf8")
+    ),
+  };
+}
+
+/**
+ * Assert two numbers agree within a tolerance
+ * @param {number} actual - Value from the pipeline
+ * @param {number} expected - Value it should have
+ * @param {number} tolerance - Largest allowed difference
+ * @param {string} label - What is compared, for the failure message
+ */
+function assertNear(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: ${actual} is not within ${tolerance} of ${expected}`
+  );
+}
+
+test("head-turn session: recovers the recorded head transforms", () => {
+  const { session, expected } = loadFixture("head-turn");
+  const results = new LandmarkReplay(session, new MediaPipeHandler()).run();
+
+  assert.equal(results.length, expected.length + 1);
+  expected.forEach((frame, i) => {
+    const face = results[i];
+    const at = `frame at ${frame.t} ms`;
+
+    assert.equal(face.detected, true, at);
+    // One person throughout keeps one id
+    assert.equal(face.id, results[0].id, at);
+    assert.equal(face.timestamp, frame.t, at);
+
+    // Landmarks are saved to six decimals
+    ["x", "y", "z"].forEach((axis) => {
+      assertNear(
+        face.headTop[axis],
+        frame.headTop[axis],
+        1e-5,
+        `${at}, headTop.${axis}`
+      );
+    });
+    assertNear(face.faceWidth, frame.faceWidth, 1e-5, `${at}, faceWidth`);
+    assertNear(face.pose.scale / frame.scale, 1, 1e-3, `${at}, scale`);
+    assertNear(
+      angleBetween(face.pose.quaternion, frame.quaternion),
+      0,
+      1e-3,
+      `${at}, quaternion`
+    );
+  });
+
+  // The head leaves at the end
+  const last = results[results.length - 1];
+  assert.equal(last.detected, false);
+  assert.deepEqual(last.faces, []);
+});
+
+/**
+ * Replay a session onto a hat, as the app does in its default overlay
+ * @param {Object} session - Parsed session
+ * @param {Object} settings - Renderer settings to change
+ * @returns {Array} The hat's {visible, position, quaternion, scale} per frame
+ */
+function poseHat(session, settings = {}) {
+  const renderer = new HatRenderer(null, { mirrored: session.mirrored });
+  renderer.scene = new THREE.Scene();
+  renderer.updateSettings(settings);
+  renderer.setTemplate(HatRenderer.DEFAULT_SLOT, new THREE.Group());
+
+  const poses = [];
+  new LandmarkReplay(session, new MediaPipeHandler()).run((faceData) => {
+    // Rendered at the moment of each detection, so nothing is extrapolated
+    renderer.updateHatPosition(faceData, faceData.timestamp);
+    const { group } = renderer.instances.values().next().value;
+    poses.push({
+      visible: group.visible,
+      position: group.position.clone(),
+      quaternion: group.quaternion.clone(),
+      scale: group.scale.clone(),
+    });
+  });
+  return poses;
+}
+
+/**
+ * Hat transform for an expected frame: the mirrored orthographic overlay maps
+ * the image onto two scene units, and the hat spans the head's width
+ * @param {Object} frame - Expected frame
+ * @returns {Object} {position, quaternion, scale}
+ */
+function expectedHat(frame) {
+  return {
+    position: {
+      x: -(frame.headTop.x - 0.5) * 2,
+      y: -(frame.headTop.y - 0.5) * 2,
+      z: frame.headTop.z * 2,
+    },
+    quaternion: frame.quaternion,
+    scale: frame.faceWidth * 2 * HatInstance.HEAD_WIDTH_RATIO,
+  };
+}
+
+/**
+ * Assert a posed hat matches an expected frame
+ * @param {Object} pose - From poseHat
+ * @param {Object} frame - Expected frame
+ * @param {Object} tolerance - {position, angle (rad), scale (ratio)}
+ */
+function assertHat(pose, frame, tolerance) {
+  const at = `frame at ${frame.t} ms`;
+  const hat = expectedHat(frame);
+
+  ["x", "y", "z"].forEach((axis) => {
+    assertNear(
+      pose.position[axis],
+      hat.position[axis],
+      tolerance.position,
+      `${at}, position.${axis}`
+    );
+    assertNear(
+      pose.scale[axis] / hat.scale,
+      1,
+      tolerance.scale,
+      `${at}, scale.${axis}`
+    );
+  });
+  assertNear(
+    angleBetween(pose.quaternion, hat.quaternion),
+    0,
+    tolerance.angle,
+    `${at}, quaternion`
+  );
+}
+
+test("head-turn session: poses the hat as recorded", () => {
+  const { session, expected } = loadFixture("head-turn");
+  // Without smoothing or a fade-in the hat lands exactly on each detection
+  const poses = poseHat(session, {
+    filter: "exponential",
+    smoothing: 0,
+    fadeTime: 0,
+  });
+
+  assert.equal(poses.length, expected.length + 1);
+  expected.forEach((frame, i) => {
+    assert.equal(poses[i].visible, true, `frame at ${frame.t} ms`);
+    assertHat(poses[i], frame, { position: 1e-5, angle: 1e-3, scale: 1e-4 });
+  });
+
+  // Held where it was last seen once the head leaves
+  const last = poses[poses.length - 1];
+  assert.equal(last.visible, true);
+  assert.deepEqual(last.position, poses[poses.length - 2].position);
+});
+
+test("head-turn session: default smoothing keeps the hat on the head", () => {
+  const { session, expected } = loadFixture("head-turn");
+  const poses = poseHat(session);
+
+  // Fades in from the first detection
+  assert.equal(poses[0].visible, false);
+  assert.ok(poses.slice(1).every((pose) => pose.visible));
+
+  // The turn peaks at about 1 rad/s, sampled at only 10 fps
+  expected.forEach((frame, i) => {
+    assertHat(poses[i], frame, {
+      position: 0.02,
+      angle: (5 * Math.PI) / 180,
+      scale: 0.02,
+    });
+  });
+});
+
+test("head-turn session: replays identically every time", () => {
+  const { session } = loadFixture("head-turn");
+  const replay = new LandmarkReplay(session, new MediaPipeHandler());
+  const strip = (results) =>
+    results.map((face) => ({ ...face, rawLandmarks: null, faces: null }));
+
+  const first = strip(replay.run());
+  // A fresh handler starts over with the same face ids and filters
+  replay.handler = new MediaPipeHandler();
+  assert.deepEqual(strip(replay.run()), first);
+});
+
+test("head-turn session: real-time playback pushes the same frames", () => {
+  const { session } = loadFixture("head-turn");
+  const expected = new LandmarkReplay(session, new MediaPipeHandler()).run();
+
+  const received = [];
+  const handler = new MediaPipeHandler({
+    onResults: (faceData) => received.push(faceData),
+  });
+  const replay = new LandmarkReplay(session, handler);
+
+  // Slow renders catch up by pushing several frames at once
+  for (let now = 5000; !replay.isFinished; now += 250) {
+    replay.update(now);
+  }
+
+  assert.equal(received.length, expected.length);
+  received.forEach((face, i) => {
+    assert.equal(face.detected, expected[i].detected);
+    assert.equal(face.timestamp, 5000 + expected[i].timestamp);
+    if (face.detected) {
+      assert.deepEqual(face.headTop, expected[i].headTop);
+      assert.deepEqual(face.pose.quaternion, expected[i].pose.quaternion);
+    }
+  });
+});
+
+test("parse rejects files that aren't recordings", () => {
+  assert.throws(() => LandmarkReplay.parse("{"), /not valid JSON/);
+  assert.throws(() => LandmarkReplay.parse("{}"), /has no frames/);
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const PoseSolver = require("../js/pose-solver.js");
+const { noise, axisAngle, angleBetween } = require("./helpers.js");
+
+const WIDTH = 640;
+const HEIGHT = 480;
+
+/**
+ * Place the canonical face in the image as normalized landmarks
+ * @param {Object} pose - {quaternion, scale, translation: [x, y, z]} in pixels
+ * @param {number} jitter - Largest noise per coordinate (pixels)
+ * @returns {Array} Sparse landmark list indexed like a face mesh
+ */
+function landmarksFor(pose, jitter = 0) {
+  const rotation = PoseSolver.quaternionToMatrix(pose.quaternion);
+  const random = noise(7);
+  const landmarks = [];
+  Object.entries(PoseSolver.CANONICAL_FACE).forEach(([index, point]) => {
+    const [x, y, z] = PoseSolver.multiply(rotation, point).map(
+      (v, i) => pose.scale * v + pose.translation[i] + jitter * random()
+    );
+    landmarks[index] = { x: x / WIDTH, y: y / HEIGHT, z: z / WIDTH };
+  });
+  return landmarks;
+}
+
+const POSES = [
+  { name: "facing the camera", axis: [0, 1, 0], angle: 0 },
+  { name: "turned 30° left", axis: [0, 1, 0], angle: Math.PI / 6 },
+  { name: "nodding 20°", axis: [1, 0, 0], angle: -Math.PI / 9 },
+  { name: "tilted 25°", axis: [0, 0, 1], angle: (25 * Math.PI) / 180 },
+  { name: "turned and tilted", axis: [0.4, -0.8, 0.3], angle: 0.7 },
+];
+
+POSES.forEach(({ name, axis, angle }) => {
+  test(`recovers an exact pose: ${name}`, () => {
+    const quaternion = axisAngle(axis, angle);
+    const pose = PoseSolver.solve(
+      landmarksFor({ quaternion, scale: 9.5, translation: [320, 250, 40] }),
+      WIDTH,
+      HEIGHT
+    );
+
+    assert.ok(angleBetween(pose.quaternion, quaternion) < 1e-6);
+    assert.ok(Math.abs(pose.scale - 9.5) < 1e-6);
+    assert.ok(Math.abs(pose.translation.x - 320) < 1e-6);
+    assert.ok(Math.abs(pose.translation.y - 250) < 1e-6);
+    assert.ok(Math.abs(pose.translation.z - 40) < 1e-6);
+    assert.ok(pose.quaternion.w >= 0);
+  });
+});
+
+test("stays close under landmark noise", () => {
+  const quaternion = axisAngle([0.2, 1, -0.1], 0.5);
+  const pose = PoseSolver.solve(
+    landmarksFor(
+      { quaternion, scale: 12, translation: [300, 200, -15] },
+      // About a pixel and a half, typical face-mesh jitter at this size
+      1.5
+    ),
+    WIDTH,
+    HEIGHT
+  );
+
+  assert.ok(angleBetween(pose.quaternion, quaternion) < (2 * Math.PI) / 180);
+  assert.ok(Math.abs(pose.scale / 12 - 1) < 0.02);
+  assert.ok(Math.abs(pose.translation.x - 300) < 2);
+  assert.ok(Math.abs(pose.translation.y - 200) < 2);
+  assert.ok(Math.abs(pose.translation.z + 15) < 2);
+});
+
+test("reports Euler angles matching the rotation", () => {
+  const pose = PoseSolver.solve(
+    landmarksFor({
+      quaternion: axisAngle([0, 1, 0], 0.4),
+      scale: 10,
+      translation: [320, 240, 0],
+    }),
+    WIDTH,
+    HEIGHT
+  );
+
+  assert.ok(Math.abs(pose.euler.x) < 1e-6);
+  assert.ok(Math.abs(pose.euler.y - 0.4) < 1e-6);
+  assert.ok(Math.abs(pose.euler.z) < 1e-6);
+});
+
+test("uses whatever canonical landmarks are present", () => {
+  const landmarks = landmarksFor({
+    quaternion: axisAngle([1, 0, 0], 0.3),
+    scale: 8,
+    translation: [320, 240, 0],
+  });
+  // Only the eye corners and the nose tip survive
+  [168, 10, 152, 61, 291, 234, 454].forEach((index) => {
+    delete landmarks[index];
+  });
+
+  const pose = PoseSolver.solve(landmarks, WIDTH, HEIGHT);
+  assert.ok(angleBetween(pose.quaternion, axisAngle([1, 0, 0], 0.3)) < 1e-6);
+  assert.ok(Math.abs(pose.scale - 8) < 1e-6);
+});
+
+test("gives up with fewer than three points", () => {
+  const landmarks = landmarksFor({
+    quaternion: axisAngle([0, 1, 0], 0),
+    scale: 10,
+    translation: [320, 240, 0],
+  });
+  const sparse = [];
+  sparse[1] = landmarks[1];
+  sparse[33] = landmarks[33];
+
+  assert.equal(PoseSolver.solve(sparse, WIDTH, HEIGHT), null);
+  assert.equal(PoseSolver.solve([], WIDTH, HEIGHT), null);
+});
+
+test("gives up on collinear points", () => {
+  // Landmarks squashed onto one image line, as a collapsed detection can be
+  const flat = [];
+  Object.keys(PoseSolver.CANONICAL_FACE).forEach((index, i) => {
+    flat[index] = { x: 0.3 + i * 0.01, y: 0.5, z: 0 };
+  });
+  assert.equal(PoseSolver.solve(flat, WIDTH, HEIGHT), null);
+
+  // Three points on a line in the model are just as ambiguous
+  assert.equal(
+    PoseSolver.align(
+      [
+        [0, 0, 0],
+        [1, 1, 1],
+        [2, 2, 2],
+      ],
+      [
+        [0, 0, 0],
+        [1, 0, 0],
+        [2, 0, 0],
+      ]
+    ),
+    null
+  );
+
+  // Every point in one place
+  const point = { x: 0.5, y: 0.5, z: 0 };
+  const collapsed = [];
+  Object.keys(PoseSolver.CANONICAL_FACE).forEach((index) => {
+    collapsed[index] = point;
+  });
+  assert.equal(PoseSolver.solve(collapsed, WIDTH, HEIGHT), null);
+});
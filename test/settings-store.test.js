@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const SettingsStore = require("../js/settings-store.js");
+
+/**
+ * In-memory stand-in for localStorage
+ * @param {Object} values - Key (without prefix) to raw stored string
+ * @returns {Object} Storage with getItem and setItem
+ */
+function memoryStorage(values = {}) {
+  const items = new Map(
+    Object.entries(values).map(([key, raw]) => [
+      SettingsStore.PREFIX + key,
+      raw,
+    ])
+  );
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+test("saves and restores a hat's fit", () => {
+  const store = new SettingsStore(memoryStorage());
+  store.setHatSettings("fedora", { scale: 1.2, yOffset: 5, fov: 60 });
+
+  assert.deepEqual(store.getHatSettings("fedora"), { scale: 1.2, yOffset: 5 });
+  assert.equal(store.getHatSettings("beanie"), null);
+
+  store.clearHatSettings("fedora");
+  assert.equal(store.getHatSettings("fedora"), null);
+});
+
+["null", "[1, 2]", '"fedora"', "7"].forEach((raw) => {
+  test(`ignores stored hats that aren't a map: ${raw}`, () => {
+    const store = new SettingsStore(memoryStorage({ hats: raw }));
+
+    assert.equal(store.getHatSettings("fedora"), null);
+    store.setHatSettings("fedora", { scale: 1.2 });
+    assert.deepEqual(store.getHatSettings("fedora"), { scale: 1.2 });
+    store.clearHatSettings("fedora");
+    assert.equal(store.getHatSettings("fedora"), null);
+  });
+});
+
+["null", '{"name": "Alice"}', '"Alice"', "not json"].forEach((raw) => {
+  test(`ignores stored presets that aren't a list: ${raw}`, () => {
+    const store = new SettingsStore(memoryStorage({ presets: raw }));
+
+    assert.deepEqual(store.getPresets(), []);
+    assert.equal(store.getPreset("Alice"), null);
+    store.savePreset("Alice", "fedora", { scale: 1.1 });
+    assert.deepEqual(store.getPresets(), [
+      { name: "Alice", hatId: "fedora", settings: { scale: 1.1 } },
+    ]);
+  });
+});
+
+test("drops malformed presets from the stored list", () => {
+  const store = new SettingsStore(
+    memoryStorage({
+      presets: JSON.stringify([
+        null,
+        { name: "  " },
+        { name: "Bob", hatId: 3, settings: { scale: "big" } },
+        { name: "Alice", hatId: "fedora", settings: { scale: 1.1 } },
+      ]),
+    })
+  );
+
+  assert.deepEqual(store.getPresets(), [
+    { name: "Alice", hatId: "fedora", settings: { scale: 1.1 } },
+    { name: "Bob", hatId: null, settings: {} },
+  ]);
+});
+
+test("works without storage", () => {
+  const store = new SettingsStore(null);
+  store.setHatSettings("fedora", { scale: 1.2 });
+
+  assert.equal(store.getHatSettings("fedora"), null);
+  assert.deepEqual(store.getPresets(), []);
+});
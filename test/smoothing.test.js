@@ -0,0 +1,362 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const Smoothing = require("../js/smoothing.js");
+const PoseSolver = require("../js/pose-solver.js");
+const { noise, axisAngle, negate, angleBetween } = require("./helpers.js");
+
+const FRAME_MS = 1000 / 30;
+const STRENGTH = 0.5;
+const FIXTURES = path.join(__dirname, "fixtures");
+
+// Forehead landmark, which the head top is placed from
+const FOREHEAD = 10;
+
+/**
+ * A 30 fps trace of one coordinate
+ * @param {number} seconds - Length
+ * @param {Function} signal - Time (s) to clean value
+ * @param {number} jitter - Largest noise added to each sample
+ * @returns {Array} Samples {timestamp, value, clean}
+ */
+function trace(seconds, signal, jitter = 0) {
+  const random = noise(11);
+  const samples = [];
+  for (let i = 0; i * FRAME_MS <= seconds * 1000; i++) {
+    const timestamp = i * FRAME_MS;
+    const clean = signal(timestamp / 1000);
+    samples.push({ timestamp, clean, value: clean + jitter * random() });
+  }
+  return samples;
+}
+
+/**
+ * The head-turn session as a trace: its 10 fps landmarks, jittered like a
+ * live face mesh, with the pose solved from each frame
+ * @param {number} jitter - Largest noise added to each landmark (pixels)
+ * @returns {Array} Samples {timestamp, forehead, clean, pose, truth}
+ */
+function recordedTrace(jitter = 0) {
+  const read = (name) =>
+    JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+  const session = read("head-turn.json");
+  const truth = read("head-turn.expected.json");
+  const random = noise(5);
+
+  return session.frames
+    .filter((frame) => frame.faces.length > 0)
+    .map((frame, i) => {
+      const landmarks = frame.faces[0].map(([x, y, z]) => ({
+        x: x + (jitter * random()) / frame.width,
+        y: y + (jitter * random()) / frame.height,
+        z,
+      }));
+      const [x, y, z] = frame.faces[0][FOREHEAD];
+      return {
+        timestamp: frame.t,
+        forehead: landmarks[FOREHEAD],
+        clean: { x, y, z },
+        pose: PoseSolver.solve(landmarks, frame.width, frame.height),
+        truth: truth[i],
+      };
+    });
+}
+
+/**
+ * Root mean square of frame-to-frame changes, a measure of visible wobble
+ * @param {Array<number>} values - Per-frame values
+ * @returns {number} RMS change
+ */
+function roughness(values) {
+  const sum = values
+    .slice(1)
+    .reduce((acc, v, i) => acc + (v - values[i]) ** 2, 0);
+  return Math.sqrt(sum / (values.length - 1));
+}
+
+/**
+ * Run a scalar filter over a trace
+ * @param {Object} filter - Filter with filter(value, timestamp)
+ * @param {Array} samples - Samples from trace
+ * @returns {Array<number>} Filtered values
+ */
+function run(filter, samples) {
+  return samples.map((s) => filter.filter(s.value, s.timestamp));
+}
+
+/**
+ * Root mean square difference between filtered and clean values
+ * @param {Array<number>} values - Filtered values
+ * @param {Array} samples - Samples they came from
+ * @returns {number} RMS error
+ */
+function rmsError(values, samples) {
+  const sum = values.reduce(
+    (acc, v, i) => acc + (v - samples[i].clean) ** 2,
+    0
+  );
+  return Math.sqrt(sum / values.length);
+}
+
+/**
+ * Time until a filtered step first covers a fraction of the step
+ * @param {Array<number>} values - Filtered values
+ * @param {Array} samples - Samples they came from
+ * @param {number} stepTime - When the step happened (ms)
+ * @param {number} fraction - Fraction of the step (0-1)
+ * @returns {number} Time after the step (ms), Infinity if never reached
+ */
+function settleTime(values, samples, stepTime, fraction) {
+  const index = values.findIndex(
+    (v, i) => samples[i].timestamp >= stepTime && v >= fraction
+  );
+  return index === -1 ? Infinity : samples[index].timestamp - stepTime;
+}
+
+/**
+ * Scalar filter for a strategy, set up as the panel would
+ * @param {string} strategy - Smoothing.STRATEGIES key
+ * @returns {Object} Filter
+ */
+function scalarFilter(strategy) {
+  return new Smoothing.PoseFilter(strategy, STRENGTH).scale;
+}
+
+const STRATEGIES = Object.keys(Smoothing.STRATEGIES);
+
+STRATEGIES.forEach((strategy) => {
+  test(`${strategy}: settles on a still, jittery head`, () => {
+    const samples = trace(3, () => 0.4, 0.01);
+    const values = run(scalarFilter(strategy), samples);
+
+    // Jitter is cut down once the filter has settled
+    const tail = samples.slice(-30);
+    const output = values.slice(-30);
+    const inputError = rmsError(
+      tail.map((s) => s.value),
+      tail
+    );
+    assert.ok(rmsError(output, tail) < inputError * 0.7);
+    assert.ok(Math.abs(output[output.length - 1] - 0.4) < 0.005);
+  });
+
+  test(`${strategy}: follows a step within a few frames`, () => {
+    const samples = trace(2, (t) => (t >= 1 ? 1 : 0));
+    const values = run(scalarFilter(strategy), samples);
+
+    // No overshoot before the step, then most of the way there quickly
+    assert.ok(values.slice(0, 30).every((v) => v === 0));
+    assert.ok(settleTime(values, samples, 1000, 0.5) <= 150);
+    assert.ok(settleTime(values, samples, 1000, 0.9) <= 400);
+    assert.ok(Math.abs(values[values.length - 1] - 1) < 0.01);
+  });
+
+  test(`${strategy}: tracks a steady turn`, () => {
+    // Half an image width per second, a brisk head movement
+    const samples = trace(2, (t) => 0.5 * t);
+    const values = run(scalarFilter(strategy), samples);
+    const lag = samples[samples.length - 1].clean - values[values.length - 1];
+
+    assert.ok(lag >= -0.01);
+    assert.ok(lag < 0.05);
+  });
+
+  test(`${strategy}: keeps up with the recorded head turn`, () => {
+    const filter = new Smoothing.PoseFilter(strategy, STRENGTH);
+
+    recordedTrace().forEach((sample) => {
+      const at = `frame at ${sample.timestamp} ms`;
+      const rotation = filter.rotation.filter(
+        sample.pose.quaternion,
+        sample.timestamp
+      );
+      const position = filter.position.filter(
+        sample.forehead,
+        sample.timestamp
+      );
+
+      // The turn peaks at about 1 rad/s; no strategy trails it by 10°...
+      assert.ok(
+        angleBetween(rotation, sample.truth.quaternion) < (10 * Math.PI) / 180,
+        at
+      );
+      // ...or the drifting head by more than a hundredth of the frame
+      assert.ok(Math.abs(position.x - sample.clean.x) < 0.01, at);
+      assert.ok(Math.abs(position.y - sample.clean.y) < 0.01, at);
+    });
+  });
+
+  test(`${strategy}: steadies landmark jitter in the recorded session`, () => {
+    const filter = new Smoothing.PoseFilter(strategy, STRENGTH).position;
+    const rawError = [];
+    const filteredError = [];
+
+    // Two pixels of jitter on every landmark
+    recordedTrace(2).forEach((sample) => {
+      const position = filter.filter(sample.forehead, sample.timestamp);
+      rawError.push(sample.forehead.x - sample.clean.x);
+      filteredError.push(position.x - sample.clean.x);
+    });
+
+    // Lag changes slowly, jitter from frame to frame, so the wobble drops
+    assert.ok(roughness(filteredError) < roughness(rawError) * 0.9);
+  });
+
+  test(`${strategy}: recorded rotations filter the same with either sign`, () => {
+    const plain = new Smoothing.PoseFilter(strategy, STRENGTH).rotation;
+    const flipped = new Smoothing.PoseFilter(strategy, STRENGTH).rotation;
+
+    // Solvers may hand back either sign of the same rotation
+    recordedTrace().forEach(({ timestamp, pose }, i) => {
+      const target = i % 2 ? negate(pose.quaternion) : pose.quaternion;
+      assert.ok(
+        angleBetween(
+          flipped.filter(target, timestamp),
+          plain.filter(pose.quaternion, timestamp)
+        ) < 1e-6
+      );
+    });
+  });
+
+  test(`${strategy}: rotation turns the short way past 180°`, () => {
+    const filter = new Smoothing.PoseFilter(strategy, STRENGTH).rotation;
+    const axis = [0, 0, 1];
+
+    // Roll sweeps from 170° to 190°. Like the pose solver's output, targets
+    // keep w non-negative, so their sign flips at 180°.
+    let previous = null;
+    for (let i = 0; i <= 60; i++) {
+      const angle = (Math.PI * (170 + (20 * i) / 60)) / 180;
+      const raw = axisAngle(axis, angle);
+      const target = raw.w < 0 ? negate(raw) : raw;
+      const value = filter.filter(target, i * FRAME_MS);
+
+      assert.ok(Smoothing.quaternionAngle(value, target) < 0.1);
+      if (previous) {
+        // Never swings the long way round between frames
+        assert.ok(Smoothing.quaternionAngle(previous, value) < 0.05);
+      }
+      previous = value;
+    }
+  });
+});
+
+test("exponential: keeps the set fraction of the old value each frame", () => {
+  const filter = new Smoothing.ExponentialFilter({ factor: 0.5 });
+  const values = run(
+    filter,
+    trace(0.2, (t) => (t > 0 ? 1 : 0))
+  );
+  assert.deepEqual(values, [0, 0.5, 0.75, 0.875, 0.9375, 0.96875, 0.984375]);
+});
+
+test("oneEuro: steadier and quicker than plain exponential smoothing", () => {
+  const still = trace(3, () => 0, 0.01);
+  const turn = trace(2, (t) => 0.5 * t);
+  const exponential = new Smoothing.ExponentialFilter({ factor: 0.5 });
+  const oneEuro = scalarFilter("oneEuro");
+
+  // At least as steady when still...
+  const tail = (values) => values.slice(-30);
+  const stillSamples = tail(still);
+  assert.ok(
+    rmsError(tail(run(oneEuro, still)), stillSamples) <=
+      rmsError(tail(run(exponential, still)), stillSamples)
+  );
+
+  // ...and much closer behind a moving head
+  oneEuro.reset();
+  exponential.reset();
+  assert.ok(
+    rmsError(run(oneEuro, turn), turn) <
+      rmsError(run(exponential, turn), turn) / 2
+  );
+});
+
+test("adaptive strategies trail the recorded turn less than exponential", () => {
+  const trace = recordedTrace();
+  const rmsLag = (strategy) => {
+    const filter = new Smoothing.PoseFilter(strategy, STRENGTH).rotation;
+    const sum = trace.reduce((acc, { timestamp, pose, truth }) => {
+      const value = filter.filter(pose.quaternion, timestamp);
+      return acc + angleBetween(value, truth.quaternion) ** 2;
+    }, 0);
+    return Math.sqrt(sum / trace.length);
+  };
+
+  const exponential = rmsLag("exponential");
+  assert.ok(rmsLag("oneEuro") < exponential / 2);
+  assert.ok(rmsLag("kalman") < exponential / 2);
+});
+
+test("kalman: learns how fast the recorded head drifts", () => {
+  const filter = new Smoothing.KalmanFilter(
+    Smoothing.paramsFor("kalman", STRENGTH)
+  );
+  // The recorded head drifts right at 60 pixels a second
+  recordedTrace().forEach(({ timestamp, pose }) => {
+    filter.filter(pose.translation.x / 1280, timestamp);
+  });
+  assert.ok(Math.abs(filter.velocity - 60 / 1280) < 0.005);
+});
+
+test("kalman: learns the velocity of a steady turn", () => {
+  const filter = new Smoothing.KalmanFilter(
+    Smoothing.paramsFor("kalman", STRENGTH)
+  );
+  run(
+    filter,
+    trace(2, (t) => 0.5 * t, 0.002)
+  );
+  assert.ok(Math.abs(filter.velocity - 0.5) < 0.05);
+});
+
+test("filters tolerate repeated and missing timestamps", () => {
+  STRATEGIES.forEach((strategy) => {
+    const filter = scalarFilter(strategy);
+    filter.filter(0, 100);
+    const repeated = filter.filter(1, 100);
+    const missing = filter.filter(1, undefined);
+
+    assert.ok(Number.isFinite(repeated));
+    assert.ok(Number.isFinite(missing));
+  });
+});
+
+test("vector filter smooths each axis independently", () => {
+  const filter = new Smoothing.VectorFilter(Smoothing.ExponentialFilter, {
+    factor: 0.5,
+  });
+  filter.filter({ x: 0, y: 0, z: 0 }, 0);
+  assert.deepEqual(filter.filter({ x: 1, y: 2, z: -4 }, FRAME_MS), {
+    x: 0.5,
+    y: 1,
+    z: -2,
+  });
+});
+
+test("pose filter falls back to One Euro and keeps state when retuned", () => {
+  const filter = new Smoothing.PoseFilter("unknown", STRENGTH);
+  assert.equal(filter.strategy, "oneEuro");
+
+  filter.scale.filter(1, 0);
+  filter.configure(0.9);
+  assert.equal(filter.scale.value, 1);
+
+  filter.reset();
+  assert.equal(filter.scale.value, null);
+  assert.equal(filter.rotation.value, null);
+});
+
+test("slerp takes the short arc between opposite signs", () => {
+  const a = axisAngle([1, 0, 0], 0.2);
+  const b = negate(axisAngle([1, 0, 0], 0.6));
+  const halfway = Smoothing.slerp(a, b, 0.5);
+
+  assert.ok(
+    Smoothing.quaternionAngle(halfway, axisAngle([1, 0, 0], 0.4)) < 1e-6
+  );
+  assert.ok(Smoothing.quaternionAngle(Smoothing.slerp(a, a, 0.5), a) < 1e-6);
+});
@@ -0,0 +1,111 @@
+// Just enough of three.js for hats to be posed in Node: the transform
+// properties HatInstance writes, with none of the rendering behind them
+
+class Vector3 {
+  constructor(x = 0, y = 0, z = 0) {
+    this.set(x, y, z);
+  }
+
+  set(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    return this;
+  }
+
+  setScalar(s) {
+    return this.set(s, s, s);
+  }
+
+  copy(v) {
+    return this.set(v.x, v.y, v.z);
+  }
+
+  clone() {
+    return new Vector3().copy(this);
+  }
+}
+
+class Quaternion {
+  constructor(x = 0, y = 0, z = 0, w = 1) {
+    this.set(x, y, z, w);
+  }
+
+  set(x, y, z, w) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.w = w;
+    return this;
+  }
+
+  copy(q) {
+    return this.set(q.x, q.y, q.z, q.w);
+  }
+
+  clone() {
+    return new Quaternion().copy(this);
+  }
+}
+
+class Euler {
+  constructor(x = 0, y = 0, z = 0) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  }
+
+  copy(e) {
+    this.x = e.x;
+    this.y = e.y;
+    this.z = e.z;
+    return this;
+  }
+}
+
+class Object3D {
+  constructor() {
+    this.position = new Vector3();
+    this.quaternion = new Quaternion();
+    this.rotation = new Euler();
+    this.scale = new Vector3(1, 1, 1);
+    this.visible = true;
+    this.userData = {};
+    this.animations = [];
+    this.children = [];
+  }
+
+  add(child) {
+    this.children.push(child);
+  }
+
+  remove(child) {
+    this.children = this.children.filter((c) => c !== child);
+  }
+
+  traverse(callback) {
+    callback(this);
+    this.children.forEach((child) => child.traverse(callback));
+  }
+
+  clone() {
+    const copy = new this.constructor();
+    copy.position.copy(this.position);
+    copy.quaternion.copy(this.quaternion);
+    copy.rotation.copy(this.rotation);
+    copy.scale.copy(this.scale);
+    copy.visible = this.visible;
+    copy.userData = JSON.parse(JSON.stringify(this.userData));
+    copy.animations = this.animations;
+    this.children.forEach((child) => copy.add(child.clone()));
+    return copy;
+  }
+
+  updateMatrixWorld() {}
+}
+
+class Group extends Object3D {}
+
+class Scene extends Object3D {}
+
+module.exports = { Vector3, Quaternion, Euler, Object3D, Group, Scene };